@@ -1,53 +1,149 @@
 #!/bin/sh
 
+BLOB_ROOT=/data/blobs
+HASH_DIR=sha256
+# Written by entrypoint.sh from NOTIG_BLOB_MAX_BYTES / NOTIG_BLOB_TYPES.
+CONFIG_FILE=${NOTIG_BLOB_CONFIG:-/tmp/nginx/blobs.env}
+if [ -r "$CONFIG_FILE" ]; then
+  . "$CONFIG_FILE"
+fi
+MAX_BYTES=${NOTIG_BLOB_MAX_BYTES:-20971520}
+ALLOWED_TYPES=${NOTIG_BLOB_TYPES:-png jpg gif webp pdf mp3 m4a mp4 ogg wav flac zip txt}
+
+# Errors are JSON so the client can show the message as-is.
+fail() {
+  echo "Status: $1"
+  echo "Content-Type: application/json"
+  echo
+  printf '{"error":"%s"}\n' "$2"
+  exit 0
+}
+
 raw_path=${PATH_INFO:-}
 # Percent-decode without external deps beyond POSIX sh + sed + printf.
 decoded_path=$(printf '%b' "$(printf '%s' "$raw_path" | sed 's/+/ /g;s/%/\\x/g')")
 path=$(printf '%s' "$decoded_path" | sed 's|^/||')
 path=${path#blobs/}
-path=$(printf '%s' "$path" | sed 's|\.\.||g;s|\\||g')
 
 if [ -z "$path" ]; then
-  echo "Status: 400 Bad Request"
-  echo "Content-Type: text/plain"
-  echo
-  echo "missing path"
-  exit 0
+  fail "400 Bad Request" "missing path"
 fi
 
-file="/data/blobs/$path"
-dir=$(dirname "$file")
-
-guess_mime() {
-  case "$1" in
-    *.png) echo "image/png" ;;
-    *.jpg|*.jpeg) echo "image/jpeg" ;;
-    *.gif) echo "image/gif" ;;
-    *.webp) echo "image/webp" ;;
-    *.svg) echo "image/svg+xml" ;;
-    *.txt|*.md) echo "text/plain; charset=utf-8" ;;
-    *.json) echo "application/json" ;;
-    *) echo "application/octet-stream" ;;
+# Uploads are stored by content: /blobs/sha256/<ab>/<sha256>.<ext>. The
+# requested name only contributes an optional hash to verify; the extension
+# comes from the sniffed type, so nothing is ever overwritten or mislabeled.
+name=$(basename "$path")
+requested_hash=$(printf '%s' "${name%.*}" | sed -n 's/^\([0-9a-f]\{64\}\)$/\1/p')
+requested_ext=$(printf '%s' "$name" | sed -n 's/^.*\.\([A-Za-z0-9]\{1,10\}\)$/\1/p' | tr 'A-Z' 'a-z')
+
+# Prints the type of a file from its leading bytes: png, jpg, gif, webp,
+# pdf, mp3, m4a, mp4, ogg, wav, flac, zip, svg, txt or unknown.
+sniff_type() {
+  magic=$(od -An -tx1 -N12 "$1" | tr -d ' \n')
+  case "$magic" in
+    89504e470d0a1a0a*) echo png; return ;;
+    ffd8ff*) echo jpg; return ;;
+    474946383761*|474946383961*) echo gif; return ;;
+    52494646????????57454250) echo webp; return ;;
+    52494646????????57415645) echo wav; return ;;
+    255044462d*) echo pdf; return ;;
+    494433*|fffb*|fff3*|fff2*) echo mp3; return ;;
+    ????????667479704d344120) echo m4a; return ;;
+    ????????66747970*) echo mp4; return ;;
+    4f676753*) echo ogg; return ;;
+    664c6143*) echo flac; return ;;
+    504b0304*) echo zip; return ;;
   esac
+  # SVG is XML text and may carry script; spot it anywhere near the start.
+  if head -c 4096 "$1" | tr 'A-Z' 'a-z' | grep -q '<svg'; then
+    echo svg
+    return
+  fi
+  # Anything else without NUL bytes is stored (and served) as plain text.
+  head_size=$(head -c 4096 "$1" | wc -c)
+  if [ "$(head -c 4096 "$1" | tr -d '\000' | wc -c)" -eq "$head_size" ]; then
+    echo txt
+    return
+  fi
+  echo unknown
 }
 
 case "${REQUEST_METHOD:-}" in
   POST)
-    mkdir -p "$dir"
-    tmp="${file}.tmp.$$"
-    cat > "$tmp"
-    mv "$tmp" "$file"
-    echo "Status: 201 Created"
-    echo "Content-Type: text/plain"
-    echo "Location: /blobs/$path"
+    if [ -n "${CONTENT_LENGTH:-}" ] && [ "$CONTENT_LENGTH" -gt "$MAX_BYTES" ] 2>/dev/null; then
+      fail "413 Payload Too Large" "file is larger than $MAX_BYTES bytes"
+    fi
+
+    tmp="$BLOB_ROOT/.upload.tmp.$$"
+    trap 'rm -f "$tmp"' EXIT
+    # Chunked uploads have no Content-Length; read one byte past the limit.
+    head -c $((MAX_BYTES + 1)) > "$tmp"
+    size=$(wc -c < "$tmp")
+    if [ "$size" -gt "$MAX_BYTES" ]; then
+      fail "413 Payload Too Large" "file is larger than $MAX_BYTES bytes"
+    fi
+    if [ "$size" -eq 0 ]; then
+      fail "400 Bad Request" "empty upload"
+    fi
+
+    type=$(sniff_type "$tmp")
+    if [ "$type" = svg ]; then
+      fail "415 Unsupported Media Type" "SVG images are not accepted"
+    fi
+    # Listing "bin" accepts any other file as an opaque download (served as
+    # application/octet-stream), including zip-based formats such as docx
+    # that would otherwise be stored as .zip.
+    case " $ALLOWED_TYPES " in
+      *" bin "*)
+        if [ "$type" = unknown ] || { [ "$type" = zip ] && [ "$requested_ext" != zip ]; }; then
+          type=bin
+        fi
+        ;;
+    esac
+    case " $ALLOWED_TYPES " in
+      *" $type "*) ;;
+      *) fail "415 Unsupported Media Type" "unsupported file type (allowed: $ALLOWED_TYPES)" ;;
+    esac
+
+    hash=$(sha256sum "$tmp" | cut -d ' ' -f 1)
+    if [ -n "$requested_hash" ] && [ "$requested_hash" != "$hash" ]; then
+      fail "400 Bad Request" "hash mismatch"
+    fi
+
+    stored="$HASH_DIR/$(printf '%s' "$hash" | cut -c 1-2)/$hash.$type"
+    if [ -f "$BLOB_ROOT/$stored" ]; then
+      echo "Status: 200 OK"
+    else
+      mkdir -p "$(dirname "$BLOB_ROOT/$stored")"
+      mv "$tmp" "$BLOB_ROOT/$stored"
+      echo "Status: 201 Created"
+    fi
+    echo "Content-Type: application/json"
+    echo "Location: /blobs/$stored"
     echo
-    echo "/blobs/$path"
+    printf '{"url":"/blobs/%s"}\n' "$stored"
+    ;;
+
+  GET|HEAD)
+    # nginx only gets here when the exact file is missing. Clients guess the
+    # extension from the file name, but the stored one is the sniffed type
+    # (e.g. a .docx stored as .bin), so look the hash up with any extension.
+    dir_hash=$(printf '%s' "$path" | sed -n "s|^$HASH_DIR/\([0-9a-f]\{2\}\)/[0-9a-f]\{64\}\.[^/]*\$|\1|p")
+    if [ -z "$requested_hash" ] || [ "$dir_hash" != "$(printf '%s' "$requested_hash" | cut -c 1-2)" ]; then
+      fail "404 Not Found" "not found"
+    fi
+    for stored_path in "$BLOB_ROOT/$HASH_DIR/$dir_hash/$requested_hash".*; do
+      if [ -f "$stored_path" ]; then
+        echo "Status: 302 Found"
+        echo "Location: /blobs/$HASH_DIR/$dir_hash/$(basename "$stored_path")"
+        echo
+        exit 0
+      fi
+    done
+    fail "404 Not Found" "not found"
     ;;
 
   *)
-    echo "Status: 405 Method Not Allowed"
-    echo "Content-Type: text/plain"
-    echo
-    echo "method not allowed"
+    fail "405 Method Not Allowed" "method not allowed"
     ;;
 esac
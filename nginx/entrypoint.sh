@@ -14,6 +14,10 @@ fi
 SKIP_CHOWN=${SKIP_CHOWN:-0}
 FCGI_SOCKET_DIR=${FCGI_SOCKET_DIR:-/tmp/fcgiwrap}
 FCGI_SOCKET=${FCGI_SOCKET_DIR}/fcgiwrap.sock
+NGINX_SNIPPET_DIR=${NGINX_SNIPPET_DIR:-/tmp/nginx}
+AUTH_DIR=${AUTH_DIR:-/data/auth}
+HTPASSWD_FILE=${HTPASSWD_FILE:-$AUTH_DIR/htpasswd}
+HOOKS_DIR=${HOOKS_DIR:-/usr/share/notig/hooks}
 
 ensure_dir() {
   dir="$1"
@@ -26,6 +30,53 @@ ensure_dir() {
 ensure_dir "$FCGI_SOCKET_DIR"
 ensure_dir /data/repos
 ensure_dir /data/blobs
+ensure_dir /data/logs
+ensure_dir "$AUTH_DIR"
+ensure_dir "$NGINX_SNIPPET_DIR"
+
+configure_auth() {
+  # NOTIG_USERS="alice:secret bob:token" regenerates the htpasswd file;
+  # otherwise an existing $HTPASSWD_FILE is used as-is.
+  if [ -n "${NOTIG_USERS:-}" ]; then
+    tmp="${HTPASSWD_FILE}.tmp.$$"
+    : > "$tmp"
+    chmod 600 "$tmp"
+    for entry in $NOTIG_USERS; do
+      user=${entry%%:*}
+      pass=${entry#*:}
+      if [ -z "$user" ] || [ "$user" = "$entry" ] || [ -z "$pass" ]; then
+        echo "warn: ignoring malformed NOTIG_USERS entry" >&2
+        continue
+      fi
+      hash=$(printf '%s' "$pass" | openssl passwd -apr1 -stdin)
+      printf '%s:%s\n' "$user" "$hash" >> "$tmp"
+    done
+    mv "$tmp" "$HTPASSWD_FILE"
+    if [ "$IS_ROOT" -eq 1 ]; then
+      chown "$TARGET_USER:$TARGET_GROUP" "$HTPASSWD_FILE" 2>/dev/null || true
+    fi
+  fi
+
+  rm -f "$NGINX_SNIPPET_DIR/git-auth.conf"
+  if [ -s "$HTPASSWD_FILE" ]; then
+    printf 'auth_basic "notig";\nauth_basic_user_file %s;\n' "$HTPASSWD_FILE" \
+      > "$NGINX_SNIPPET_DIR/git-auth.conf"
+    echo "git: HTTP Basic auth enabled ($HTPASSWD_FILE)"
+  else
+    echo "warn: $HTPASSWD_FILE is empty; git over HTTP is unauthenticated" >&2
+  fi
+}
+
+configure_auth
+
+configure_blobs() {
+  # fcgiwrap does not pass the container environment to CGI scripts.
+  printf 'NOTIG_BLOB_MAX_BYTES=%s\nNOTIG_BLOB_TYPES="%s"\n' \
+    "${NOTIG_BLOB_MAX_BYTES:-20971520}" "${NOTIG_BLOB_TYPES:-png jpg gif webp pdf mp3 m4a mp4 ogg wav flac zip txt}" \
+    > "$NGINX_SNIPPET_DIR/blobs.env"
+}
+
+configure_blobs
 
 enable_receive_pack() {
   # Allow pushes over Smart HTTP; backend defaults to deny.
@@ -61,6 +112,20 @@ fi
 
 enable_receive_pack
 
+install_hooks() {
+  # Hooks see REMOTE_USER from nginx through git-http-backend.
+  for repo in /data/repos/*.git; do
+    [ -d "$repo" ] || continue
+    if [ "$IS_ROOT" -eq 1 ]; then
+      su -s /bin/sh -c "git config --file $repo/config core.hooksPath $HOOKS_DIR" "$TARGET_USER" || true
+    else
+      git config --file "$repo/config" core.hooksPath "$HOOKS_DIR" || true
+    fi
+  done
+}
+
+install_hooks
+
 if [ "$IS_ROOT" -eq 1 ]; then
   spawn-fcgi -s "$FCGI_SOCKET" -U "$TARGET_USER" -G "$TARGET_GROUP" /usr/bin/fcgiwrap
 else
@@ -22,17 +22,62 @@ import {
   isUpToDateWithRemote,
   logFileChanges,
   getHistoryContent,
-  commitMergeConflictMarkers,
+  getMergeConflicts,
+  commitMergeResolution,
   resetToRemote,
   getErrorCode,
+  setActiveRepository,
+  getLocalRef,
+  getRemoteRef,
+  getUserSettings,
+  setUserSettings,
+  setAuthHandlers,
+  collectFileTimestamps,
+  hasBackfilledTimestamps,
+  markTimestampsBackfilled,
+  writeAttachment,
+  stageAttachments,
+  readAttachment,
+  listAttachmentPointers,
+  moveFile,
+  makeParentDirectories,
+  removeEmptyDirectories,
+  listDeletedFiles,
+  amendCommit,
+  commitPushMessage,
 } from './git-api.js';
+import {
+  ATTACHMENTS_DIR,
+  formatAttachmentPointer,
+  getAttachmentFilePath,
+  getAttachmentHash,
+  getAttachmentPath,
+  getPointerBlobUrl,
+} from './attachments.js';
 import {
   parseNoteBody,
+  getNoteContent,
+  getNoteTitle,
   formatUpdatedAt,
   getLatestCommitTimestamp,
   getNoteTags,
   getNoteUpdatedAt,
+  getNoteCreatedAt,
+  updateNoteFields,
+  rewriteNoteTags,
+  formatFileSize,
+  getBlobLinks,
 } from './note-utils.js';
+import {
+  loadSearchIndex,
+  setSearchIndexScope,
+  deleteSearchIndex,
+  syncSearchIndex,
+  updateSearchIndex,
+  removeFromSearchIndex,
+  searchNotes,
+  tokenize,
+} from './search-index.js';
 import {
   editorHostEl,
   pushBtn,
@@ -42,8 +87,10 @@ import {
   emptyCloneBtn,
   deleteBtn,
   newBtn,
-  tagFilterEl,
+  searchInputEl,
   historySelectEl,
+  historyDiffBtn,
+  historyRestoreBtn,
   mobileMedia,
   coarsePointerMedia,
   colorSchemeMedia,
@@ -61,9 +108,106 @@ import {
   setHasLocalCommits as setHasLocalCommitsUi,
   listEl,
   renderNotes,
-  renderTagFilterOptions,
   renderNoteHistory,
+  renderBacklinks,
 } from './ui.js';
+import { resolveMergeConflicts } from './merge-view.js';
+import {
+  normalizeLinkTitle,
+  getLinkedTitles,
+  createWikiLinkPlugin,
+  getWikiLinkTitleFromTarget,
+} from './wiki-links.js';
+import {
+  getActiveRepository,
+  setActiveRepositoryId,
+  addRepository,
+  updateRepository,
+  removeRepository,
+} from './repositories.js';
+import {
+  repoSelectEl,
+  manageReposBtn,
+  renderRepositorySelect,
+  openRepositoryManager,
+} from './repository-view.js';
+import { settingsBtn, openSettingsDialog } from './settings-view.js';
+import { exportBtn, importBtn, openImportDialog } from './import-view.js';
+import {
+  titleInputEl,
+  renderFrontMatterForm,
+  setFrontMatterHandlers,
+} from './front-matter-view.js';
+import {
+  buildExportArchive,
+  readImportFiles,
+  ensureImportedTitle,
+  relinkImportedAssets,
+  getBaseName,
+} from './notebook-archive.js';
+import {
+  runSyncTask,
+  configureAutoSync,
+  setAutoSyncEnabled,
+  requestAutoPush,
+  resetAutoSync,
+} from './auto-sync.js';
+import { promptCredentials } from './auth-view.js';
+import {
+  getCredentials,
+  saveCredentials,
+  clearCredentials,
+  getCredentialsId,
+} from './credentials.js';
+import {
+  diffFromSelectEl,
+  diffToSelectEl,
+  setDiffMode,
+  renderDiffSelectOptions,
+  renderDiff,
+} from './diff-view.js';
+import {
+  createTagFilter,
+  isTagFilterActive,
+  matchesTagFilter,
+  buildTagTree,
+  renameTagPath,
+  mapTagFilter,
+} from './tag-filter.js';
+import { renderTagTree, setTagTreeHandlers } from './tag-tree-view.js';
+import { parseRoute, formatRoute } from './router.js';
+import {
+  FOLDER_KEEP_FILE,
+  getNoteFolder,
+  getNoteBaseName,
+  joinFolderPath,
+  normalizeFolderPath,
+  isInFolder,
+  renameFolderPath,
+  getFolderAncestors,
+  buildFolderTree,
+} from './folders.js';
+import {
+  newFolderBtn,
+  renameFolderBtn,
+  moveNoteBtn,
+  renderFolderTree,
+  setFolderTreeHandlers,
+  promptFolderPath,
+} from './folder-view.js';
+import { trashBtn, openTrash } from './trash-view.js';
+import { promptPushMessage } from './push-view.js';
+import {
+  setDraftScope,
+  deleteDrafts,
+  saveDraft,
+  getDraft,
+  listDrafts,
+  deleteDraft,
+} from './drafts.js';
+import { promptDraftRecovery } from './draft-view.js';
+import { manageTagsBtn, openTagManager } from './tag-manager-view.js';
+import { trackUpload, renderAttachments } from './attachments-view.js';
 
 /** @typedef {{id: string; body: string; updatedAt?: number}} Note */
 
@@ -81,15 +225,51 @@ let lastSavedMarkdown = '';
 let hasUnsavedChanges = false;
 let isApplyingMarkdown = false;
 let isViewingHistorySnapshot = false;
+let isViewingDiff = false;
 let isHandlingPopState = false;
 let hasInitializedHistoryState = false;
-let currentTagFilter = '';
+/** @type {import('./tag-filter.js').TagFilter} */
+let currentTagFilter = parseRoute(window.location.href).tags;
+let currentSearchQuery = '';
 let historyMarkdown = '';
+let isMergePostponed = false;
+/** @type {import('./note-utils.js').TimestampFormat} */
+let timestampFormat = 'iso';
+/** @type {import('./attachments.js').AttachmentStorage} */
+let attachmentStorage = 'blobs';
+let attachmentPointerThreshold = 0;
+let trashRetentionDays = 0;
+/** @type {Map<string, {id: string; title: string}> | null} */
+let notesByTitle = null;
+/** @type {{oid: string; label: string; filepath: string}[]} */
+let historyEntries = [];
+let currentFolder = '';
+/** @type {string[]} folders that only exist through a `.keep` file */
+let keptFolders = [];
+/**
+ * The last commit made by saveAndCommit, which the next save of the same note
+ * may amend.
+ * @type {{oid: string; id: string; action: 'Create' | 'Edit'; savedAt: number} | null}
+ */
+let lastSaveCommit = null;
+/**
+ * Unsaved edits waiting to be written as a draft; `body: null` clears it.
+ * @type {{id: string; body: string | null; savedAt: number} | null}
+ */
+let pendingDraft = null;
+/** @type {ReturnType<typeof setTimeout> | null} */
+let draftTimer = null;
 const NOTES_PAGE_SIZE = 50;
 const NOTES_SCROLL_THRESHOLD_PX = 120;
 const NOTES_LOAD_BATCH_SIZE = 40;
+const BLOB_HASH_DIR = 'sha256';
+const BYTES_PER_MB = 1024 * 1024;
+const SAVE_COALESCE_WINDOW_MS = 5 * 60 * 1000;
+const DRAFT_SAVE_DELAY_MS = 1000;
 let visibleNotesCount = 0;
 let hasPendingNotesScroll = false;
+/** @type {Map<string, boolean>} keyed like stored credentials, by server origin */
+const pendingCredentialPersistence = new Map();
 
 /**
  * @param {boolean} next
@@ -119,32 +299,65 @@ function getTagsForNote(note) {
 
 /**
  * @param {Note[]} sourceNotes
- * @returns {string[]}
+ * @returns {Map<string, number>} number of notes using each tag
  */
-function collectTagsFromNotes(sourceNotes) {
-  const tags = new Set();
+function countTagsInNotes(sourceNotes) {
+  /** @type {Map<string, number>} */
+  const counts = new Map();
   sourceNotes.forEach((note) => {
-    getTagsForNote(note).forEach((tag) => {
-      tags.add(tag);
+    new Set(getTagsForNote(note)).forEach((tag) => {
+      counts.set(tag, (counts.get(tag) ?? 0) + 1);
     });
   });
-  return Array.from(tags).sort((a, b) => a.localeCompare(b));
+  return counts;
 }
 
-function updateTagFilterOptions() {
-  const tags = collectTagsFromNotes(notes);
-  if (currentTagFilter && !tags.includes(currentTagFilter)) {
-    currentTagFilter = '';
-  }
-  renderTagFilterOptions(tags, currentTagFilter);
+/**
+ * @param {Note[]} sourceNotes
+ * @returns {string[]}
+ */
+function collectTagsFromNotes(sourceNotes) {
+  return Array.from(countTagsInNotes(sourceNotes).keys()).sort((a, b) => a.localeCompare(b));
+}
+
+function updateTagTree() {
+  const tree = buildTagTree(notes.map(getTagsForNote), [
+    ...currentTagFilter.include,
+    ...currentTagFilter.exclude,
+  ]);
+  renderTagTree(tree, currentTagFilter);
+}
+
+/**
+ * @param {import('./tag-filter.js').TagFilter} filter
+ */
+function setTagFilter(filter) {
+  currentTagFilter = filter;
+  replaceHistoryState(history.state ?? { view: 'list' });
+  renderNotesList({ resetVisibleCount: true, scrollToTop: true });
 }
 
 /**
  * @returns {Note[]}
  */
 function getFilteredNotes() {
-  if (!currentTagFilter) return notes;
-  return notes.filter((note) => getTagsForNote(note).includes(currentTagFilter));
+  const folderNotes = currentFolder
+    ? notes.filter((note) => isInFolder(note.id, currentFolder))
+    : notes;
+  const taggedNotes = isTagFilterActive(currentTagFilter)
+    ? folderNotes.filter((note) => matchesTagFilter(getTagsForNote(note), currentTagFilter))
+    : folderNotes;
+  if (!currentSearchQuery.trim()) return taggedNotes;
+  const notesById = new Map(taggedNotes.map((note) => [note.id, note]));
+  /** @type {Note[]} */
+  const ranked = [];
+  searchNotes(currentSearchQuery).forEach((result) => {
+    const note = notesById.get(result.id);
+    if (note) {
+      ranked.push(note);
+    }
+  });
+  return ranked;
 }
 
 function clampVisibleNotesCount(total) {
@@ -166,7 +379,9 @@ function renderNotesList(options = {}) {
     scrollToTop = false,
     skipAutoLoad = false,
   } = options;
-  updateTagFilterOptions();
+  notesByTitle = null;
+  updateTagTree();
+  updateFolderTree();
   const filteredNotes = getFilteredNotes();
   if (resetVisibleCount) {
     visibleNotesCount = Math.min(filteredNotes.length, NOTES_PAGE_SIZE);
@@ -179,7 +394,8 @@ function renderNotesList(options = {}) {
     filteredNotes.slice(0, visibleNotesCount),
     currentId,
     (note) => openNote(note, { source: 'user' }),
-    noteMarkersById
+    noteMarkersById,
+    { searchTokens: tokenize(currentSearchQuery) }
   );
   if (preserveScroll) {
     scrollContainer.scrollTop = prevScrollTop;
@@ -240,8 +456,8 @@ async function buildNoteMarkers(sourceNotes) {
   /** @type {Record<string, {diffFromOrigin?: boolean; locallyCommitted?: boolean}>} */
   const markers = {};
   const [localOid, remoteOid] = await Promise.all([
-    git.resolveRef({ fs, dir, ref: 'refs/heads/main' }).catch(() => null),
-    git.resolveRef({ fs, dir, ref: 'refs/remotes/origin/main' }).catch(() => null),
+    git.resolveRef({ fs, dir, ref: getLocalRef() }).catch(() => null),
+    git.resolveRef({ fs, dir, ref: getRemoteRef() }).catch(() => null),
   ]);
   const hasLocalCommits = await hasLocalCommitsToPush(localOid, remoteOid);
   setHasLocalCommitsUi(hasLocalCommits);
@@ -273,7 +489,7 @@ async function buildNoteMarkers(sourceNotes) {
 async function hasLocalCommitsToPush(localOid, remoteOid) {
   if (!localOid || !remoteOid) return false;
   if (localOid === remoteOid) return false;
-  const localIsAncestor = await isOidInHistory('refs/remotes/origin/main', localOid);
+  const localIsAncestor = await isOidInHistory(getRemoteRef(), localOid);
   return !localIsAncestor;
 }
 
@@ -357,6 +573,77 @@ async function refreshNoteMarkers() {
 async function refreshNotesList() {
   await refreshNoteMarkers();
   renderNotesList();
+  renderCurrentBacklinks();
+}
+
+/**
+ * @returns {Map<string, {id: string; title: string}>} notes keyed by normalized title
+ */
+function getNotesByTitle() {
+  if (notesByTitle) return notesByTitle;
+  /** @type {Map<string, {id: string; title: string}>} */
+  const index = new Map();
+  notes.forEach((note) => {
+    const title = getNoteTitle(parseNoteBody(note.body));
+    const key = normalizeLinkTitle(title);
+    if (!index.has(key)) {
+      index.set(key, { id: note.id, title });
+    }
+  });
+  notesByTitle = index;
+  return index;
+}
+
+const wikiLinkPlugin = createWikiLinkPlugin({
+  getTitles: () =>
+    Array.from(getNotesByTitle().values())
+      .filter((entry) => entry.id !== currentId)
+      .map((entry) => entry.title),
+  hasTitle: (title) => getNotesByTitle().has(normalizeLinkTitle(title)),
+});
+
+function renderCurrentBacklinks() {
+  const current = currentId ? notes.find((note) => note.id === currentId) : null;
+  if (!current) {
+    renderBacklinks([], openNoteById);
+    return;
+  }
+  const key = normalizeLinkTitle(getNoteTitle(parseNoteBody(current.body)));
+  const entries = notes
+    .filter((note) => note.id !== current.id)
+    .map((note) => ({ note, parsed: parseNoteBody(note.body) }))
+    .filter((entry) => getLinkedTitles(entry.parsed.content).includes(key))
+    .map((entry) => ({ id: entry.note.id, title: getNoteTitle(entry.parsed) }));
+  renderBacklinks(entries, openNoteById);
+}
+
+/**
+ * @param {string} id
+ */
+async function openNoteById(id) {
+  const note = notes.find((entry) => entry.id === id);
+  if (!note) return;
+  if (hasUnsavedChanges && currentId && !isViewingHistorySnapshot) {
+    await saveCurrentNote();
+  }
+  await openNote(note, { source: 'user' });
+}
+
+/**
+ * Follows a `[[Title]]` link, offering to create the note when it is missing.
+ * @param {string} title
+ */
+async function openWikiLink(title) {
+  const target = getNotesByTitle().get(normalizeLinkTitle(title));
+  if (target) {
+    await openNoteById(target.id);
+    return;
+  }
+  if (!window.confirm(`「${title}」というメモはありません。作成しますか？`)) return;
+  if (hasUnsavedChanges && currentId && !isViewingHistorySnapshot) {
+    await saveCurrentNote();
+  }
+  await createNote(title);
 }
 
 function randomId() {
@@ -393,13 +680,26 @@ function createEditor(markdown, options = {}) {
     theme: colorSchemeMedia.matches ? 'dark' : 'light',
     frontMatter: true,
     autofocus: false,
+    plugins: [wikiLinkPlugin],
     hooks: {
       addImageBlobHook: async (blob, callback) => {
+        const tracker = trackUpload({ name: blob.name || 'image', size: blob.size });
         try {
-          const imageUrl = await uploadImageToBlobs(blob, currentId);
+          const imageUrl = await storeAttachment(blob, {
+            signal: tracker.signal,
+            onProgress: tracker.update,
+          });
           callback(imageUrl, blob.name);
         } catch (err) {
+          if (isAbortError(err)) {
+            setStatusUi('upload cancelled');
+            return;
+          }
           console.error('image upload failed', err);
+          setStatusUi('upload failed');
+          window.alert(err instanceof Error ? err.message : String(err));
+        } finally {
+          tracker.done();
         }
       },
     },
@@ -408,10 +708,16 @@ function createEditor(markdown, options = {}) {
         if (!editor || isApplyingMarkdown || isViewingHistorySnapshot) return;
         currentMarkdown = editor.getMarkdown();
         setHasUnsavedChanges(currentMarkdown !== lastSavedMarkdown);
+        queueDraftSave();
+        renderFrontMatterForm(currentMarkdown);
+        renderCurrentAttachments();
       },
       blur: () => {
         if (isViewingHistorySnapshot || !hasUnsavedChanges) return;
-        saveAndCommit();
+        saveCurrentNote().catch((err) => {
+          console.error(err);
+          setStatusUi('commit failed');
+        });
       },
     },
   });
@@ -422,34 +728,320 @@ function createEditor(markdown, options = {}) {
   }
   setHasUnsavedChanges(currentMarkdown !== lastSavedMarkdown);
   isApplyingMarkdown = false;
+  syncFrontMatterForm();
+}
+
+function syncFrontMatterForm() {
+  renderFrontMatterForm(isViewingHistorySnapshot ? historyMarkdown : currentMarkdown, {
+    tagOptions: collectTagsFromNotes(notes),
+    readOnly: isViewingHistorySnapshot,
+  });
+}
+
+/**
+ * Writes edits from the front matter form into the note and the editor.
+ * @param {import('./note-utils.js').NoteFields} fields
+ */
+function applyFrontMatterFields(fields) {
+  if (!editor || !currentId || isViewingHistorySnapshot) return;
+  const next = updateNoteFields(currentMarkdown, fields, { timestampFormat });
+  if (next === currentMarkdown) return;
+  currentMarkdown = next;
+  isApplyingMarkdown = true;
+  editor.setMarkdown(next, false);
+  isApplyingMarkdown = false;
+  setHasUnsavedChanges(currentMarkdown !== lastSavedMarkdown);
+  queueDraftSave();
+}
+
+/**
+ * Returns the open note as it should be written: with `modified` (and
+ * `created` when missing) stamped. A `modified` value the user edited by hand
+ * is kept. The stamps only go to the file; rewriting the editor on every save
+ * would reset its cursor and undo history, so it picks them up when the note
+ * is next opened.
+ * @param {string} savedBody the note file as last written
+ * @returns {string}
+ */
+function stampCurrentNoteTimestamps(savedBody) {
+  if (currentMarkdown === lastSavedMarkdown) return savedBody;
+  const now = Date.now();
+  const parsed = parseNoteBody(currentMarkdown);
+  /** @type {import('./note-utils.js').NoteFields} */
+  const fields = {};
+  if (typeof getNoteCreatedAt(parsed) !== 'number') {
+    fields.created = getNoteCreatedAt(parseNoteBody(savedBody)) ?? now;
+  }
+  if (getNoteUpdatedAt(parsed) === getNoteUpdatedAt(parseNoteBody(lastSavedMarkdown))) {
+    fields.modified = now;
+  }
+  return updateNoteFields(currentMarkdown, fields, { timestampFormat });
 }
 
 /**
+ * Uploads a file to the content-addressed blob store. The URL is derived from
+ * the SHA-256 of the bytes, so a blob the server already has is not sent
+ * again and the returned URL never changes content.
  * @param {Blob} blob
- * @param {string | null} noteId
+ * @param {{signal?: AbortSignal; onProgress?: (loaded: number, total: number) => void}} [options]
  * @returns {Promise<string>}
  */
-async function uploadImageToBlobs(blob, noteId) {
-  const filename = getBlobFileName(blob);
-  const safeNoteId = noteId || 'misc';
+async function uploadBlob(blob, options = {}) {
+  const ext = getBlobExtension(blob);
+  const hash = await hashBlob(blob);
+  let url = `/blobs/${BLOB_HASH_DIR}/upload.${ext}`;
+  if (hash) {
+    url = `/blobs/${BLOB_HASH_DIR}/${hash.slice(0, 2)}/${hash}.${ext}`;
+    const existing = await globalThis
+      .fetch(url, { method: 'HEAD', signal: options.signal })
+      .catch((err) => {
+        if (isAbortError(err)) throw err;
+        return null;
+      });
+    if (existing && existing.ok) {
+      // The server stores the sniffed type's extension and redirects a
+      // guessed one there, e.g. `.docx` to `.bin`.
+      return existing.redirected ? new URL(existing.url).pathname : url;
+    }
+  }
 
-  const url = `/blobs/${encodeURIComponent(safeNoteId)}/${encodeURIComponent(filename)}`;
-  const response = await globalThis.fetch(url, {
-    method: 'POST',
-    body: blob,
-  });
+  const response = await postBlob(url, blob, options);
 
   if (!response.ok) {
-    const errorBody = await response.text().catch(() => '');
-    const status = typeof response.status === 'number' ? response.status : 'unknown';
-    const statusText = response.statusText ? ` ${response.statusText}` : '';
-    const detail = errorBody ? ` ${errorBody}` : '';
-    throw new Error(`upload failed: ${status}${statusText}${detail}`);
+    throw new Error(await getUploadErrorMessage(response));
   }
 
   return getUploadUrlFromResponse(response);
 }
 
+/**
+ * Stores an attachment where the repository settings say: in the blob store,
+ * or committed under `attachments/`. In the repository, files above the
+ * pointer threshold are uploaded to the blob store and committed as an
+ * LFS-style pointer instead, keeping clones small. Repository files are
+ * only written here; the save of the note that links them commits them.
+ * @param {Blob} blob
+ * @param {{signal?: AbortSignal; onProgress?: (loaded: number, total: number) => void}} [options]
+ * @returns {Promise<string>} URL to link from the note
+ */
+async function storeAttachment(blob, options = {}) {
+  if (attachmentStorage !== 'repo') {
+    return uploadBlob(blob, options);
+  }
+  if (blob.size > attachmentPointerThreshold) {
+    const blobUrl = await uploadBlob(blob, options);
+    const name = blobUrl.slice(blobUrl.lastIndexOf('/') + 1);
+    const hash = getAttachmentHash(name);
+    // Without Web Crypto the server may pick a name we cannot point at.
+    if (!hash) return blobUrl;
+    const filepath = `${ATTACHMENTS_DIR}/${name}`;
+    await writeAttachment(filepath, formatAttachmentPointer(hash, blob.size));
+    return `/${filepath}`;
+  }
+  const data = new Uint8Array(await blob.arrayBuffer());
+  const hash = (await hashBlob(blob)) ?? randomId();
+  const filepath = getAttachmentFilePath(hash, getBlobExtension(blob));
+  await writeAttachment(filepath, data);
+  options.onProgress?.(blob.size, blob.size);
+  return `/${filepath}`;
+}
+
+/**
+ * @param {string} body
+ * @returns {string[]} repository paths of the `/attachments/` files the note links
+ */
+function getLinkedAttachmentPaths(body) {
+  return getBlobLinks(getNoteContent(body))
+    .map((link) => getAttachmentPath(link.url))
+    .filter((filepath) => filepath !== null);
+}
+
+/**
+ * POSTs with XMLHttpRequest, which unlike fetch reports upload progress.
+ * @param {string} url
+ * @param {Blob} blob
+ * @param {{signal?: AbortSignal; onProgress?: (loaded: number, total: number) => void}} options
+ * @returns {Promise<Response>}
+ */
+function postBlob(url, blob, options) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const { signal, onProgress } = options;
+    const abort = () => xhr.abort();
+    xhr.open('POST', url);
+    xhr.responseType = 'blob';
+    if (onProgress) {
+      xhr.upload.addEventListener('progress', (event) => {
+        onProgress(event.loaded, event.lengthComputable ? event.total : blob.size);
+      });
+    }
+    xhr.addEventListener('load', () => {
+      signal?.removeEventListener('abort', abort);
+      /** @type {Record<string, string>} */
+      const headers = {};
+      ['Content-Type', 'Location'].forEach((name) => {
+        const value = xhr.getResponseHeader(name);
+        if (value) {
+          headers[name] = value;
+        }
+      });
+      resolve(new Response(xhr.response, { status: xhr.status, statusText: xhr.statusText, headers }));
+    });
+    xhr.addEventListener('error', () => {
+      signal?.removeEventListener('abort', abort);
+      reject(new Error('upload failed: network error'));
+    });
+    xhr.addEventListener('abort', () => {
+      reject(new DOMException('upload cancelled', 'AbortError'));
+    });
+    if (signal) {
+      if (signal.aborted) {
+        reject(new DOMException('upload cancelled', 'AbortError'));
+        return;
+      }
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    xhr.send(blob);
+  });
+}
+
+/**
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+function isAbortError(err) {
+  return err instanceof DOMException && err.name === 'AbortError';
+}
+
+/**
+ * Uploads dropped or pasted files and inserts them at the cursor: images
+ * inline, everything else as a link card labelled with name and size.
+ * @param {File[]} files
+ */
+async function attachFiles(files) {
+  const noteId = currentId;
+  for (let i = 0; i < files.length; i += 1) {
+    const file = files[i];
+    const tracker = trackUpload(file);
+    try {
+      const url = await storeAttachment(file, { signal: tracker.signal, onProgress: tracker.update });
+      if (!editor || currentId !== noteId || isViewingHistorySnapshot) continue;
+      if (file.type.startsWith('image/')) {
+        editor.exec('addImage', { imageUrl: url, altText: file.name });
+      } else {
+        editor.exec('addLink', { linkUrl: url, linkText: `${file.name} (${formatFileSize(file.size)})` });
+      }
+    } catch (err) {
+      if (isAbortError(err)) {
+        setStatusUi('upload cancelled');
+        continue;
+      }
+      console.error('attachment upload failed', err);
+      setStatusUi('upload failed');
+      window.alert(err instanceof Error ? err.message : String(err));
+    } finally {
+      tracker.done();
+    }
+  }
+}
+
+/**
+ * Takes over drops and pastes that carry non-image files; image-only
+ * transfers are left to Toast UI, which hands them to `addImageBlobHook`.
+ * @param {Event} event
+ * @param {DataTransfer | null} data
+ */
+function handleFileTransfer(event, data) {
+  const files = data ? Array.from(data.files) : [];
+  if (!files.length || files.every((file) => file.type.startsWith('image/'))) return;
+  if (!editor || !currentId || isViewingHistorySnapshot) return;
+  event.preventDefault();
+  event.stopPropagation();
+  attachFiles(files).catch((err) => {
+    console.error(err);
+    setStatusUi('upload failed');
+  });
+}
+
+/**
+ * Answers the service worker's `/attachments/...` lookups from the working
+ * tree (or history); pointer files resolve to their blob store URL.
+ * @param {MessageEvent} event
+ */
+async function handleAttachmentRequest(event) {
+  const { data } = event;
+  const port = event.ports[0];
+  if (!port || !data || data.type !== 'notig:attachment') return;
+  const filepath = getAttachmentPath(String(data.pathname));
+  let content = null;
+  try {
+    content = filepath ? await readAttachment(filepath) : null;
+  } catch (err) {
+    console.error('failed to read attachment', filepath, err);
+  }
+  if (!filepath || !content) {
+    port.postMessage({ status: 404 });
+  } else if (content.pointer) {
+    port.postMessage({ status: 302, location: getPointerBlobUrl(filepath, content.pointer) });
+  } else {
+    port.postMessage({ status: 200, body: content.data });
+  }
+}
+
+/**
+ * Pulls the blobs behind newly cloned or fetched pointer files into the
+ * service worker cache, so they open offline like committed attachments.
+ */
+async function prefetchAttachmentPointers() {
+  if (navigator.onLine === false || !navigator.serviceWorker?.controller) return;
+  const pointers = await listAttachmentPointers();
+  for (const { filepath, pointer } of pointers) {
+    await globalThis.fetch(getPointerBlobUrl(filepath, pointer)).catch((err) => {
+      console.warn('failed to prefetch attachment', filepath, err);
+    });
+  }
+}
+
+// Runs on every keystroke, so it skips the front matter instead of parsing it.
+function renderCurrentAttachments() {
+  renderAttachments(currentId ? getBlobLinks(getNoteContent(currentMarkdown)) : []);
+}
+
+/**
+ * Prefers the `{"error": "..."}` message blobs.cgi sends over the raw body.
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function getUploadErrorMessage(response) {
+  const errorBody = await response.text().catch(() => '');
+  const contentType = response.headers.get('Content-Type') || '';
+  if (contentType.includes('application/json')) {
+    try {
+      const payload = JSON.parse(errorBody);
+      if (payload && typeof payload.error === 'string' && payload.error.trim()) {
+        return `upload failed: ${payload.error.trim()}`;
+      }
+    } catch (err) {
+      // Fall through to the status line.
+    }
+  }
+  const status = typeof response.status === 'number' ? response.status : 'unknown';
+  const statusText = response.statusText ? ` ${response.statusText}` : '';
+  const detail = errorBody ? ` ${errorBody}` : '';
+  return `upload failed: ${status}${statusText}${detail}`;
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string | null>} hex SHA-256, or `null` where Web Crypto is
+ *   unavailable (plain HTTP on a LAN address); the server hashes those uploads
+ */
+async function hashBlob(blob) {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) return null;
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * @param {Response} response
  * @returns {Promise<string>}
@@ -485,20 +1077,19 @@ async function getUploadUrlFromResponse(response) {
 
 /**
  * @param {Blob} blob
- * @returns {string}
+ * @returns {string} lower-case extension from the file name or MIME type
  */
-function getBlobFileName(blob) {
-  if ('name' in blob && typeof blob.name === 'string' && blob.name) {
-    return blob.name;
-  }
-  let ext = 'bin';
-  if (blob.type && blob.type.startsWith('image/')) {
-    const [, subtype] = blob.type.split('/');
-    if (subtype) {
-      ext = subtype;
-    }
+function getBlobExtension(blob) {
+  const name = 'name' in blob && typeof blob.name === 'string' ? blob.name : '';
+  const match = name.match(/\.([a-z0-9]{1,10})$/i);
+  const subtype = blob.type ? blob.type.split('/')[1] : '';
+  let ext = match ? match[1].toLowerCase() : subtype.split(/[+;]/)[0].toLowerCase();
+  // The server names files after the sniffed type; matching it saves the
+  // redirect when HEAD looks a blob up.
+  if (ext === 'jpeg') {
+    ext = 'jpg';
   }
-  return `image-${Date.now()}.${ext}`;
+  return /^[a-z0-9]{1,10}$/.test(ext) ? ext : 'bin';
 }
 
 async function cloneRepo() {
@@ -563,7 +1154,15 @@ async function listNoteFiles(rootDir) {
  */
 async function loadNotes(options = {}) {
   const { useCommitTimestamp = true, onBatch } = options;
-  const files = await listNoteFiles(notesDir);
+  keptFolders = [];
+  const files = (await listNoteFiles(notesDir)).filter(({ path }) => {
+    const id = getNoteIdFromPath(path);
+    if (getNoteBaseName(id) !== FOLDER_KEEP_FILE) return true;
+    if (getNoteFolder(id)) {
+      keptFolders.push(getNoteFolder(id));
+    }
+    return false;
+  });
 
   /** @type {Note[]} */
   const loadedNotes = [];
@@ -624,6 +1223,7 @@ async function loadNotes(options = {}) {
   }
 
   notes = loadedNotes.sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
+  await syncSearchIndex(notes);
 }
 
 /**
@@ -631,18 +1231,94 @@ async function loadNotes(options = {}) {
  */
 async function saveNoteFile(note) {
   const relPath = getNoteFilePath(note);
+  await makeParentDirectories(relPath);
   await pfs.writeFile(`${dir}/${relPath}`, note.body, 'utf8');
   return relPath;
 }
 
+/**
+ * Mirrors a history entry and the tag filter in the URL
+ * (`#/note/<id>?rev=<oid>&tag=...`), so every view can be reloaded or shared.
+ * @param {Record<string, unknown>} state
+ * @returns {string}
+ */
+function getHistoryUrl(state) {
+  const id = typeof state.id === 'string' ? state.id : null;
+  return formatRoute(
+    {
+      view: state.view === 'note' && id ? 'note' : 'list',
+      id,
+      rev: typeof state.rev === 'string' ? state.rev : null,
+      tags: currentTagFilter,
+    },
+    window.location.href
+  );
+}
+
 function pushHistoryState(state) {
   if (isHandlingPopState) return;
-  history.pushState(state, '');
+  history.pushState(state, '', getHistoryUrl(state));
 }
 
 function replaceHistoryState(state) {
   if (isHandlingPopState) return;
-  history.replaceState(state, '');
+  history.replaceState(state, '', getHistoryUrl(state));
+}
+
+/**
+ * @returns {Record<string, unknown>}
+ */
+function getCurrentHistoryState() {
+  if (!currentId) return { view: 'list' };
+  const rev = isViewingHistorySnapshot ? historySelectEl.value : '';
+  return rev && rev !== '__empty'
+    ? { view: 'note', id: currentId, rev }
+    : { view: 'note', id: currentId };
+}
+
+/**
+ * Shows what a URL points at: the tag filter, then the note and, for a
+ * `rev`, that snapshot of it read-only.
+ * @param {import('./router.js').Route} route
+ * @returns {Promise<boolean>} whether a note was shown
+ */
+async function applyRoute(route) {
+  if (JSON.stringify(route.tags) !== JSON.stringify(currentTagFilter)) {
+    currentTagFilter = route.tags;
+    renderNotesList({ resetVisibleCount: true, scrollToTop: true });
+  }
+  if (route.view !== 'note' || !route.id) return false;
+  const note = notes.find((entry) => entry.id === route.id);
+  if (!note) {
+    setStatusUi('note not found');
+    return false;
+  }
+  if (note.id !== currentId) {
+    await openNote(note, { source: 'history' });
+  }
+  exitDiffMode();
+  if (route.rev) {
+    historySelectEl.value = route.rev;
+    await showHistoryInEditor(route.rev);
+  } else if (isViewingHistorySnapshot) {
+    historySelectEl.value = '';
+    showCurrentInEditor();
+  }
+  return true;
+}
+
+/**
+ * Applies the route in the address bar, e.g. a link opened on startup.
+ */
+async function restoreRouteFromUrl() {
+  isHandlingPopState = true;
+  try {
+    await applyRoute(parseRoute(window.location.href));
+  } finally {
+    isHandlingPopState = false;
+  }
+  replaceHistoryState(getCurrentHistoryState());
+  hasInitializedHistoryState = true;
 }
 
 function updateHistoryForNote(noteId, options = {}) {
@@ -661,15 +1337,24 @@ function updateHistoryForNote(noteId, options = {}) {
   hasInitializedHistoryState = true;
 }
 
+/**
+ * Reads the current note as of a commit, at the path it had back then.
+ * @param {string} oid
+ * @returns {Promise<string>}
+ */
+function getNoteHistoryContent(oid) {
+  const entry = historyEntries.find((candidate) => candidate.oid === oid);
+  return getHistoryContent(oid, entry?.filepath ?? getNoteFilePath({ id: currentId ?? '' }));
+}
+
 /**
  * @param {string} oid
  * @returns {Promise<void>}
  */
 async function showHistoryInEditor(oid) {
   if (!currentId) return;
-  const filepath = getNoteFilePath({ id: currentId });
   try {
-    const body = await getHistoryContent(oid, filepath);
+    const body = await getNoteHistoryContent(oid);
     historyMarkdown = body;
     isViewingHistorySnapshot = true;
     setEditorReadOnly(true);
@@ -678,9 +1363,11 @@ async function showHistoryInEditor(oid) {
       editor.setMarkdown(body);
       isApplyingMarkdown = false;
     }
+    syncFrontMatterForm();
   } catch (err) {
     console.warn('failed to load history content in editor', err);
   }
+  updateRestoreButton();
 }
 
 function showCurrentInEditor() {
@@ -692,9 +1379,93 @@ function showCurrentInEditor() {
   editor.setMarkdown(currentMarkdown);
   setHasUnsavedChanges(currentMarkdown !== lastSavedMarkdown);
   isApplyingMarkdown = false;
+  syncFrontMatterForm();
+  updateRestoreButton();
+}
+
+/**
+ * @returns {string}
+ */
+function getRestorableOid() {
+  if (isViewingDiff) {
+    return diffFromSelectEl.value || diffToSelectEl.value;
+  }
+  if (isViewingHistorySnapshot && historySelectEl.value !== '__empty') {
+    return historySelectEl.value;
+  }
+  return '';
+}
+
+function updateRestoreButton() {
+  historyRestoreBtn.hidden = !currentId || !getRestorableOid();
+}
+
+/**
+ * @param {string} oid
+ * @returns {Promise<string>}
+ */
+function getDiffSideContent(oid) {
+  if (!oid || !currentId) return Promise.resolve(currentMarkdown);
+  return getNoteHistoryContent(oid);
+}
+
+async function showDiffView() {
+  if (!currentId || !isViewingDiff) return;
+  const [fromText, toText] = await Promise.all([
+    getDiffSideContent(diffFromSelectEl.value),
+    getDiffSideContent(diffToSelectEl.value),
+  ]);
+  if (!isViewingDiff) return;
+  renderDiff(fromText, toText);
+  updateRestoreButton();
+}
+
+async function enterDiffMode() {
+  if (!currentId) return;
+  const snapshotOid = isViewingHistorySnapshot ? historySelectEl.value : '';
+  if (isViewingHistorySnapshot) {
+    showCurrentInEditor();
+  }
+  historySelectEl.value = '';
+  isViewingDiff = true;
+  renderDiffSelectOptions(historyEntries, snapshotOid || historyEntries[0]?.oid || '', '');
+  setDiffMode(true);
+  await showDiffView();
+}
+
+function exitDiffMode() {
+  if (!isViewingDiff) return;
+  isViewingDiff = false;
+  setDiffMode(false);
+  updateRestoreButton();
+}
+
+/**
+ * Writes an older snapshot back as the current version of the note.
+ * @param {string} oid
+ */
+async function restoreHistoryVersion(oid) {
+  if (!currentId) return;
+  const body = await getNoteHistoryContent(oid);
+  exitDiffMode();
+  isViewingHistorySnapshot = false;
+  historyMarkdown = '';
+  historySelectEl.value = '';
+  setEditorReadOnly(false);
+  currentMarkdown = body;
+  if (editor) {
+    isApplyingMarkdown = true;
+    editor.setMarkdown(body);
+    isApplyingMarkdown = false;
+  }
+  setHasUnsavedChanges(currentMarkdown !== lastSavedMarkdown);
+  await saveAndCommit();
+  await renderCurrentNoteHistory();
+  updateRestoreButton();
 }
 
 async function renderCurrentNoteHistory() {
+  historyEntries = [];
   if (!currentId) {
     renderNoteHistory([], { emptyMessage: 'メモが選択されていません' });
     historySelectEl.value = '';
@@ -719,8 +1490,10 @@ async function renderCurrentNoteHistory() {
       return {
         oid: entry.oid,
         label: typeof ts === 'number' ? formatUpdatedAt(ts * 1000) : entry.oid,
+        filepath: entry.filepath,
       };
     });
+    historyEntries = entries;
     renderNoteHistory(entries, { emptyMessage: '履歴がありません' });
   } catch (err) {
     console.warn('failed to load note history', err);
@@ -733,6 +1506,8 @@ async function renderCurrentNoteHistory() {
  * @param {{source?: 'user' | 'history' | 'system'}} [options]
  */
 async function openNote(note, options = {}) {
+  await flushDraftSave();
+  exitDiffMode();
   currentId = note.id;
   currentMarkdown = note.body;
   isViewingHistorySnapshot = false;
@@ -744,25 +1519,42 @@ async function openNote(note, options = {}) {
   setActiveNoteInList(currentId);
   await renderCurrentNoteHistory();
   historySelectEl.value = '';
+  updateRestoreButton();
+  renderCurrentBacklinks();
+  renderCurrentAttachments();
   showEditorOnMobile();
   if (options.source !== 'history') {
     const shouldReplace = options.source === 'system' || !hasInitializedHistoryState;
     updateHistoryForNote(note.id, { replace: shouldReplace });
   }
+  offerDraftRecovery(note).catch((err) => {
+    console.error(err);
+    setStatusUi('draft recovery failed');
+  });
 }
 
-async function createNote() {
-  const id = randomId();
+/**
+ * @param {string} [title]
+ */
+async function createNote(title = '') {
+  const id = joinFolderPath(currentFolder, randomId());
+  const now = Date.now();
   /** @type {Note} */
   const note = {
-    id, body: '---\ntitle: \n---\n\n'
+    id,
+    body: updateNoteFields('', { title, created: now, modified: now }, { timestampFormat }),
+    updatedAt: now,
   };
   lastSavedMarkdown = note.body;
   notes.unshift(note);
   await saveNoteFile(note);
+  await updateSearchIndex(note);
   currentId = id;
   await refreshNotesList();
-  openNote(note, { source: 'user' });
+  await openNote(note, { source: 'user' });
+  if (!title) {
+    titleInputEl.focus();
+  }
 }
 
 async function deleteCurrentNote() {
@@ -786,7 +1578,8 @@ async function deleteCurrentNote() {
 
   const wasTracked = prevStatus !== 'untracked' && prevStatus !== 'absent';
   if (wasTracked) {
-    await commit();
+    await commit({ message: formatNoteCommitMessage('Delete', currentMarkdown) });
+    requestAutoPush();
     setStatusUi('deleted');
   } else {
     setStatusUi('removed locally');
@@ -795,16 +1588,20 @@ async function deleteCurrentNote() {
   if (targetIndex !== -1) {
     notes.splice(targetIndex, 1);
   }
+  await removeFromSearchIndex(currentId);
+  await discardDraft(currentId);
   currentId = notes[0]?.id ?? null;
   await refreshNotesList();
   if (notes[0]) {
     await openNote(notes[0], { source: 'system' });
   } else {
+    exitDiffMode();
     currentMarkdown = '';
     if (editor) {
       editor.setMarkdown('');
     }
     updateCurrentNoteState();
+    updateRestoreButton();
     renderNoteHistory([], { emptyMessage: 'メモが選択されていません' });
     historySelectEl.value = '';
     historySelectEl.disabled = true;
@@ -813,14 +1610,222 @@ async function deleteCurrentNote() {
 }
 
 /**
- * @returns {Promise<boolean>}
+ * Notes removed in past commits, with the content they had before deletion.
+ * Deletions older than the retention window are left out.
+ * @returns {Promise<import('./trash-view.js').TrashEntry[]>}
  */
-async function saveAndCommit() {
-  if (!currentId) return false;
+async function loadTrash() {
+  const since = trashRetentionDays
+    ? new Date(Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000)
+    : undefined;
+  const deleted = await listDeletedFiles('notes', since ? { since } : {});
+  return Promise.all(
+    deleted
+      .filter(({ filepath }) => getNoteBaseName(filepath) !== FOLDER_KEEP_FILE)
+      .map(async ({ filepath, parentOid, deletedAt }) => {
+        const body = await getHistoryContent(parentOid, filepath);
+        return {
+          id: getNoteIdFromPath(`${dir}/${filepath}`),
+          title: getNoteTitle(parseNoteBody(body)),
+          body,
+          deletedAt,
+        };
+      })
+  );
+}
+
+/**
+ * Writes a deleted note back under its old id and commits it.
+ * @param {import('./trash-view.js').TrashEntry} entry
+ */
+async function restoreDeletedNote(entry) {
+  if (hasUnsavedChanges && currentId && !isViewingHistorySnapshot) {
+    await saveAndCommit();
+  }
+  if (!notes.some((note) => note.id === entry.id)) {
+    /** @type {Note} */
+    const note = { id: entry.id, body: entry.body, updatedAt: Date.now() };
+    const filepath = await saveNoteFile(note);
+    await add({ filepath });
+    await commit({ message: `restore "${entry.title}"` });
+    requestAutoPush();
+    await updateSearchIndex(note);
+    await loadNotes();
+    await refreshNotesList();
+  }
+  const restored = notes.find((note) => note.id === entry.id);
+  if (restored) {
+    await openNote(restored, { source: 'user' });
+  }
+  setStatusUi('restored');
+}
+
+/**
+ * Keeps unsaved edits of the open note in IndexedDB so that a closed tab or a
+ * killed mobile page can offer them back. Writes are debounced; edits that
+ * return to the saved content clear the draft.
+ */
+function queueDraftSave() {
+  if (!currentId || isViewingHistorySnapshot) return;
+  pendingDraft = {
+    id: currentId,
+    body: hasUnsavedChanges ? currentMarkdown : null,
+    savedAt: Date.now(),
+  };
+  if (draftTimer) {
+    clearTimeout(draftTimer);
+  }
+  draftTimer = setTimeout(() => {
+    flushDraftSave().catch((err) => console.warn(err));
+  }, DRAFT_SAVE_DELAY_MS);
+}
+
+async function flushDraftSave() {
+  if (draftTimer) {
+    clearTimeout(draftTimer);
+    draftTimer = null;
+  }
+  const draft = pendingDraft;
+  pendingDraft = null;
+  if (!draft) return;
+  if (draft.body === null) {
+    await deleteDraft(draft.id);
+  } else {
+    await saveDraft({ id: draft.id, body: draft.body, savedAt: draft.savedAt });
+  }
+}
+
+/**
+ * @param {string} id
+ */
+async function discardDraft(id) {
+  if (pendingDraft?.id === id) {
+    await flushDraftSave();
+  }
+  await deleteDraft(id);
+}
+
+/**
+ * @param {import('./drafts.js').Draft} draft
+ * @param {Note} note
+ * @returns {boolean} whether the draft holds edits made after the last save
+ */
+function isRecoverableDraft(draft, note) {
+  return draft.body !== note.body && draft.savedAt > (note.updatedAt ?? 0);
+}
+
+/**
+ * Offers back a draft left by an earlier session, with a diff against the
+ * committed note. Drafts the note has caught up with are dropped.
+ * @param {Note} note
+ */
+async function offerDraftRecovery(note) {
+  const draft = await getDraft(note.id);
+  if (!draft || currentId !== note.id || isViewingHistorySnapshot) return;
+  if (!isRecoverableDraft(draft, note)) {
+    await deleteDraft(note.id);
+    return;
+  }
+  const choice = await promptDraftRecovery({
+    title: getNoteTitle(parseNoteBody(draft.body)),
+    savedAt: draft.savedAt,
+    committed: note.body,
+    draft: draft.body,
+  });
+  if (choice === 'discard') {
+    await deleteDraft(note.id);
+    setStatusUi('draft discarded');
+    return;
+  }
+  if (choice !== 'restore' || currentId !== note.id || isViewingHistorySnapshot) return;
+  exitDiffMode();
+  currentMarkdown = draft.body;
+  if (editor) {
+    isApplyingMarkdown = true;
+    editor.setMarkdown(draft.body);
+    isApplyingMarkdown = false;
+  }
+  setHasUnsavedChanges(currentMarkdown !== lastSavedMarkdown);
+  syncFrontMatterForm();
+  renderCurrentAttachments();
+  setStatusUi('draft restored');
+}
+
+/**
+ * Opens the note with the newest recoverable draft, which offers it back.
+ */
+async function openLatestDraftNote() {
+  const drafts = await listDrafts();
+  /** @type {{draft: import('./drafts.js').Draft; note: Note} | null} */
+  let latest = null;
+  for (const draft of drafts) {
+    const note = notes.find((entry) => entry.id === draft.id);
+    if (!note || !isRecoverableDraft(draft, note)) continue;
+    if (!latest || draft.savedAt > latest.draft.savedAt) {
+      latest = { draft, note };
+    }
+  }
+  if (latest) {
+    await openNote(latest.note, { source: 'system' });
+  }
+}
+
+/**
+ * @param {'Create' | 'Edit' | 'Delete'} action
+ * @param {string} body
+ * @returns {string}
+ */
+function formatNoteCommitMessage(action, body) {
+  return `${action}: ${getNoteTitle(parseNoteBody(body))}`;
+}
+
+/**
+ * Commits a staged note save. A save of the same note shortly after the
+ * previous one amends that commit instead, as long as it has not been pushed.
+ * @param {Note} note
+ * @param {boolean} isNew
+ */
+async function commitNoteSave(note, isNew) {
+  const [localOid, remoteOid] = await Promise.all([
+    git.resolveRef({ fs, dir, ref: getLocalRef() }).catch(() => null),
+    git.resolveRef({ fs, dir, ref: getRemoteRef() }).catch(() => null),
+  ]);
+  const previous = lastSaveCommit;
+  const canAmend =
+    previous !== null &&
+    previous.id === note.id &&
+    previous.oid === localOid &&
+    Date.now() - previous.savedAt < SAVE_COALESCE_WINDOW_MS &&
+    (!remoteOid || (await hasLocalCommitsToPush(localOid, remoteOid)));
+  /** @type {'Create' | 'Edit'} */
+  const action = canAmend && previous ? previous.action : isNew ? 'Create' : 'Edit';
+  const message = formatNoteCommitMessage(action, note.body);
+  const oid = canAmend ? await amendCommit({ message }) : await commit({ message });
+  lastSaveCommit = { oid, id: note.id, action, savedAt: Date.now() };
+}
+
+/**
+ * Commits the open note through the sync queue, so a background fetch, merge
+ * or push never runs between writing the file and committing it. Code that
+ * already runs inside a sync task calls saveAndCommit directly.
+ * @returns {Promise<boolean>}
+ */
+function saveCurrentNote() {
+  return runSyncTask(() => saveAndCommit());
+}
+
+/**
+ * @returns {Promise<boolean>}
+ */
+async function saveAndCommit() {
+  if (!currentId) return false;
+  const saved = notes.find((entry) => entry.id === currentId);
+  // Edits typed while this save waits in the queue or commits are not in it.
+  const savedMarkdown = currentMarkdown;
   /** @type {Note} */
   const note = {
     id: currentId,
-    body: currentMarkdown,
+    body: stampCurrentNoteTimestamps(saved?.body ?? lastSavedMarkdown),
   };
   const parsed = parseNoteBody(note.body);
   const frontMatterUpdatedAt = getNoteUpdatedAt(parsed);
@@ -838,11 +1843,14 @@ async function saveAndCommit() {
     notes.unshift(note);
   }
   notes.sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
+  await updateSearchIndex(note);
   await add({ filepath });
+  await stageAttachments(getLinkedAttachmentPaths(note.body));
   const s = await status({ filepath });
   const modified = s === 'modified' || s === '*modified' || s === 'deleted' || s === '*deleted' || s === 'added' || s === '*added';
   if (modified) {
-    await commit();
+    await commitNoteSave(note, s === 'added' || s === '*added');
+    requestAutoPush();
     if (typeof frontMatterUpdatedAt === 'number') {
       note.updatedAt = frontMatterUpdatedAt;
     } else {
@@ -853,24 +1861,76 @@ async function saveAndCommit() {
   setStatusUi(modified ? 'committed locally' : 'no changes');
 
   await refreshNotesList();
-  lastSavedMarkdown = currentMarkdown;
-  setHasUnsavedChanges(false);
+  if (currentId === note.id) {
+    lastSavedMarkdown = savedMarkdown;
+    if (currentMarkdown !== savedMarkdown) {
+      setHasUnsavedChanges(true);
+      queueDraftSave();
+      return modified;
+    }
+    setHasUnsavedChanges(false);
+  }
+  await discardDraft(note.id);
   return modified;
 }
 
-async function pushChanges() {
+/**
+ * Opens the conflict resolver for files left conflicted by a merge and
+ * commits the merge once every file is resolved.
+ * @returns {Promise<'none' | 'resolved' | 'postponed'>}
+ */
+async function resolvePendingMergeConflicts() {
+  const pending = await getMergeConflicts();
+  isMergePostponed = false;
+  if (!pending.conflicts.length) return 'none';
+  setStatusUi('merge conflict');
+  const resolutions = await resolveMergeConflicts(pending.conflicts);
+  if (!resolutions) {
+    isMergePostponed = true;
+    return 'postponed';
+  }
+  await commitMergeResolution(pending, resolutions);
+  requestAutoPush();
+  await loadNotes();
+  await refreshNotesList();
+  if (currentId && !hasUnsavedChanges) {
+    const note = notes.find((entry) => entry.id === currentId);
+    if (note) {
+      await openNote(note, { source: 'system' });
+    }
+  }
+  return 'resolved';
+}
+
+/**
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+function isMergeConflictError(err) {
+  return (
+    err instanceof git.Errors.MergeConflictError ||
+    err instanceof git.Errors.UnmergedPathsError
+  );
+}
+
+/**
+ * @param {{message?: string}} [options] a message is committed on top of the
+ *   commits origin does not have yet
+ * @returns {Promise<boolean>} whether the local branch reached the remote
+ */
+async function pushChanges(options = {}) {
   if (hasUnsavedChanges && currentId && !isViewingHistorySnapshot) {
     try {
       await saveAndCommit();
     } catch (err) {
       console.error(err);
       setStatusUi('commit failed');
-      return;
+      return false;
     }
   }
   const [preLocalOid, preRemoteOid] = await Promise.all([
-    git.resolveRef({ fs, dir, ref: 'refs/heads/main' }).catch(() => null),
-    git.resolveRef({ fs, dir, ref: 'refs/remotes/origin/main' }).catch(() => null),
+    git.resolveRef({ fs, dir, ref: getLocalRef() }).catch(() => null),
+    git.resolveRef({ fs, dir, ref: getRemoteRef() }).catch(() => null),
   ]);
   console.log('[push] refs:before', { preLocalOid, preRemoteOid });
   try {
@@ -879,7 +1939,7 @@ async function pushChanges() {
   } catch (err) {
     console.warn('[push] statusMatrix failed', err);
   }
-  let conflictCommitted = false;
+  let mergeResolved = false;
   try {
     setStatusUi('syncing…');
     await fetch();
@@ -888,34 +1948,35 @@ async function pushChanges() {
     await loadNotes();
     await refreshNotesList();
   } catch (err) {
-    if (
-      err instanceof git.Errors.MergeConflictError ||
-      err instanceof git.Errors.UnmergedPathsError
-    ) {
+    if (isMergeConflictError(err)) {
       console.error(err);
-      await loadNotes();
-      await refreshNotesList();
-      if (currentId) {
-        const note = notes.find((entry) => entry.id === currentId);
-        if (note) {
-          await openNote(note, { source: 'system' });
-        }
-      }
+      let resolution;
       try {
-        conflictCommitted = await commitMergeConflictMarkers();
-      } catch (commitErr) {
-        console.error(commitErr);
-        setStatusUi('merge conflict commit failed');
-        return;
+        resolution = await resolvePendingMergeConflicts();
+      } catch (resolveErr) {
+        console.error(resolveErr);
+        setStatusUi('merge failed');
+        return false;
       }
-      if (!conflictCommitted) {
-        setStatusUi('merge conflict (markers created)');
-        return;
+      if (resolution !== 'resolved') {
+        setStatusUi('merge conflict (unresolved)');
+        return false;
       }
+      mergeResolved = true;
     } else {
       console.error(err);
       setStatusUi('push failed');
-      return;
+      return false;
+    }
+  }
+
+  if (options.message) {
+    try {
+      await commitPushMessage(options.message);
+    } catch (err) {
+      console.error(err);
+      setStatusUi('commit failed');
+      return false;
     }
   }
 
@@ -923,15 +1984,15 @@ async function pushChanges() {
   try {
     await push();
     const [postLocalOid, postRemoteOid] = await Promise.all([
-      git.resolveRef({ fs, dir, ref: 'refs/heads/main' }).catch(() => null),
-      git.resolveRef({ fs, dir, ref: 'refs/remotes/origin/main' }).catch(() => null),
+      git.resolveRef({ fs, dir, ref: getLocalRef() }).catch(() => null),
+      git.resolveRef({ fs, dir, ref: getRemoteRef() }).catch(() => null),
     ]);
     if (postLocalOid) {
       try {
         await git.writeRef({
           fs,
           dir,
-          ref: 'refs/remotes/origin/main',
+          ref: getRemoteRef(),
           value: postLocalOid,
           force: true,
         });
@@ -940,21 +2001,28 @@ async function pushChanges() {
       }
     }
     console.log('[push] refs:after', { postLocalOid, postRemoteOid });
-    setStatusUi(conflictCommitted ? 'pushed (conflict committed)' : 'pushed');
+    // Origin has the last save now, so the next one starts a new commit.
+    lastSaveCommit = null;
+    setStatusUi(mergeResolved ? 'pushed (merge resolved)' : 'pushed');
     await refreshNotesList();
+    return true;
   } catch (err) {
     if (err instanceof git.Errors.PushRejectedError) {
       const upToDate = await isUpToDateWithRemote();
       if (upToDate) {
-        setStatusUi(conflictCommitted ? 'pushed (conflict committed)' : 'pushed');
-        return;
+        setStatusUi(mergeResolved ? 'pushed (merge resolved)' : 'pushed');
+        return true;
       }
     }
     console.error(err);
     setStatusUi('push failed');
+    return false;
   }
 }
 
+/**
+ * @returns {Promise<boolean>} whether the remote changes were merged
+ */
 async function pullChanges() {
   setStatusUi('pulling…');
   try {
@@ -965,9 +2033,10 @@ async function pullChanges() {
     }
     await loadNotes();
     await refreshNotesList();
+    prefetchAttachmentPointers().catch((err) => console.warn(err));
     const [localOid, remoteOid] = await Promise.all([
-      git.resolveRef({ fs, dir, ref: 'refs/heads/main' }).catch(() => null),
-      git.resolveRef({ fs, dir, ref: 'refs/remotes/origin/main' }).catch(() => null),
+      git.resolveRef({ fs, dir, ref: getLocalRef() }).catch(() => null),
+      git.resolveRef({ fs, dir, ref: getRemoteRef() }).catch(() => null),
     ]);
     console.log('[pull] refs', { localOid, remoteOid });
     console.log('[pull] notes', {
@@ -982,40 +2051,89 @@ async function pullChanges() {
         await openNote(note, { source: 'system' });
       }
     }
-    const committed = await commitMergeConflictMarkers();
-    if (committed) {
-      setStatusUi('merge conflict committed');
-      return;
+    const resolution = await resolvePendingMergeConflicts();
+    if (resolution === 'resolved') {
+      setStatusUi('merge resolved');
+      return true;
+    }
+    if (resolution === 'postponed') {
+      setStatusUi('merge conflict (unresolved)');
+      return false;
     }
     setStatusUi('pulled');
+    return true;
   } catch (err) {
-    if (err instanceof git.Errors.MergeConflictError) {
+    if (isMergeConflictError(err)) {
       console.log(err);
-      if (!hasUnsavedChanges) {
-        try {
-          await resetToRemote();
-          await loadNotes();
-          await refreshNotesList();
-          setStatusUi('pulled (remote)');
-          return;
-        } catch (resetErr) {
-          console.error(resetErr);
-        }
-      }
       try {
-        const committed = await commitMergeConflictMarkers();
-        setStatusUi(committed ? 'merge conflict committed' : 'merge conflict (markers created)');
-      } catch (commitErr) {
-        console.error(commitErr);
-        setStatusUi('merge conflict commit failed');
+        const resolution = await resolvePendingMergeConflicts();
+        setStatusUi(resolution === 'resolved' ? 'merge resolved' : 'merge conflict (unresolved)');
+        return resolution === 'resolved';
+      } catch (resolveErr) {
+        console.error(resolveErr);
+        setStatusUi('merge failed');
       }
     } else {
       console.error(err);
       setStatusUi('pull failed');
     }
+    return false;
   }
 }
 
+/**
+ * Background push: skipped when every local commit already reached origin.
+ * @returns {Promise<boolean>}
+ */
+async function autoPushChanges() {
+  const [localOid, remoteOid] = await Promise.all([
+    git.resolveRef({ fs, dir, ref: getLocalRef() }).catch(() => null),
+    git.resolveRef({ fs, dir, ref: getRemoteRef() }).catch(() => null),
+  ]);
+  if (!(await hasLocalCommitsToPush(localOid, remoteOid))) return true;
+  return pushChanges();
+}
+
+/**
+ * Background poll: fetches and only merges or pushes when origin and the local
+ * branch have drifted apart. Throws when the remote is unreachable.
+ * @returns {Promise<boolean>}
+ */
+async function pollRemoteChanges() {
+  await fetch();
+  if (await isUpToDateWithRemote({ skipFetch: true })) return true;
+  const [localOid, remoteOid] = await Promise.all([
+    git.resolveRef({ fs, dir, ref: getLocalRef() }).catch(() => null),
+    git.resolveRef({ fs, dir, ref: getRemoteRef() }).catch(() => null),
+  ]);
+  if (await hasLocalCommitsToPush(localOid, remoteOid)) {
+    return pushChanges();
+  }
+  return pullChanges();
+}
+
+function installFrontMatterForm() {
+  setFrontMatterHandlers({
+    onChange: applyFrontMatterFields,
+    onBlur: () => {
+      if (!hasUnsavedChanges || !currentId || isViewingHistorySnapshot) return;
+      saveCurrentNote().catch((err) => {
+        console.error(err);
+        setStatusUi('commit failed');
+      });
+    },
+  });
+}
+
+function installAutoSync() {
+  configureAutoSync({
+    push: autoPushChanges,
+    poll: pollRemoteChanges,
+    isPaused: () =>
+      hasUnsavedChanges || isViewingHistorySnapshot || isViewingDiff || isMergePostponed,
+  });
+}
+
 async function resetNotesToOrigin() {
   const hasLocalEdits = hasUnsavedChanges || isViewingHistorySnapshot;
   const message = hasLocalEdits
@@ -1029,6 +2147,8 @@ async function resetNotesToOrigin() {
     await resetToRemote();
     await refreshWorkingTree();
     await removeLocalOnlyNotes();
+    pendingDraft = null;
+    await Promise.all((await listDrafts()).map((draft) => deleteDraft(draft.id)));
     await loadNotes();
     currentId = notes[0]?.id ?? null;
     isViewingHistorySnapshot = false;
@@ -1039,12 +2159,14 @@ async function resetNotesToOrigin() {
         await openNote(note, { source: 'system' });
       }
     } else {
+      exitDiffMode();
       currentMarkdown = '';
       lastSavedMarkdown = '';
       if (editor) {
         editor.setMarkdown('');
       }
       updateCurrentNoteState();
+      updateRestoreButton();
       renderNoteHistory([], { emptyMessage: 'メモが選択されていません' });
       historySelectEl.value = '';
       historySelectEl.disabled = true;
@@ -1086,21 +2208,79 @@ async function removeLocalOnlyNotes() {
   }
 }
 
+/**
+ * One-time migration that fills in missing `created`/`modified` front matter
+ * from git history, so sorting the list no longer has to walk the log.
+ * @returns {Promise<boolean>} whether any note was rewritten
+ */
+async function backfillNoteTimestamps() {
+  if (await hasBackfilledTimestamps()) return false;
+  const pending = notes.filter((note) => {
+    const parsed = parseNoteBody(note.body);
+    return typeof getNoteCreatedAt(parsed) !== 'number' || typeof getNoteUpdatedAt(parsed) !== 'number';
+  });
+  let count = 0;
+  if (pending.length) {
+    setStatusUi('migrating timestamps…');
+    const history = await collectFileTimestamps('notes');
+    for (let i = 0; i < pending.length; i += 1) {
+      const note = pending[i];
+      const known = history.get(getNoteFilePath(note));
+      const parsed = parseNoteBody(note.body);
+      /** @type {import('./note-utils.js').NoteFields} */
+      const fields = {};
+      if (typeof getNoteCreatedAt(parsed) !== 'number') {
+        fields.created = known?.created ?? note.updatedAt;
+      }
+      if (typeof getNoteUpdatedAt(parsed) !== 'number') {
+        fields.modified = known?.modified ?? note.updatedAt;
+      }
+      const body = updateNoteFields(note.body, fields, { timestampFormat });
+      if (body === note.body) continue;
+      note.body = body;
+      const filepath = await saveNoteFile(note);
+      await add({ filepath });
+      await updateSearchIndex(note);
+      count += 1;
+    }
+    if (count) {
+      await commit({ message: `backfill timestamps for ${count} notes` });
+      requestAutoPush();
+    }
+  }
+  await markTimestampsBackfilled();
+  return count > 0;
+}
+
 async function bootstrap() {
   setStatusUi('preparing…');
   const hasConfig = await ensureConfig();
   if (!hasConfig) {
     setStatusUi('missing config');
     setMissingConfig(true);
+    setAutoSyncEnabled(false);
     return;
   }
   setMissingConfig(false);
+  await loadSearchIndex();
+  const settings = await getUserSettings();
+  setAutoSyncEnabled(settings.autoSync);
+  timestampFormat = settings.timestampFormat;
+  attachmentStorage = settings.attachmentStorage;
+  attachmentPointerThreshold = settings.attachmentPointerThreshold;
+  trashRetentionDays = settings.trashRetentionDays;
 
   let didLoadNotes = false;
-  try {
-    await fetch();
-  } catch (err) {
-    console.warn('initial fetch failed; continuing offline', err);
+  let isOffline = navigator.onLine === false;
+  if (!isOffline) {
+    try {
+      await fetch();
+    } catch (err) {
+      console.warn('initial fetch failed; continuing offline', err);
+      isOffline = true;
+    }
+  }
+  if (isOffline) {
     setStatusUi('offline (local only)');
   }
 
@@ -1115,16 +2295,22 @@ async function bootstrap() {
     });
     await refreshNotesList();
     didLoadNotes = true;
-    const committed = await commitMergeConflictMarkers();
-    setStatusUi(committed ? 'merge conflict committed' : 'synced');
+    const resolution = await resolvePendingMergeConflicts();
+    if (resolution === 'resolved') {
+      setStatusUi('merge resolved');
+    } else if (resolution === 'postponed') {
+      setStatusUi('merge conflict (unresolved)');
+    } else {
+      setStatusUi(isOffline ? 'offline (local only)' : 'synced');
+    }
   } catch (err) {
-    if (err instanceof git.Errors.MergeConflictError) {
+    if (isMergeConflictError(err)) {
       try {
-        const committed = await commitMergeConflictMarkers();
-        setStatusUi(committed ? 'merge conflict committed' : 'conflict');
-      } catch (commitErr) {
-        console.error(commitErr);
-        setStatusUi('merge conflict commit failed');
+        const resolution = await resolvePendingMergeConflicts();
+        setStatusUi(resolution === 'resolved' ? 'merge resolved' : 'conflict');
+      } catch (resolveErr) {
+        console.error(resolveErr);
+        setStatusUi('merge failed');
       }
     }
   }
@@ -1138,41 +2324,525 @@ async function bootstrap() {
     });
     await refreshNotesList();
   }
+  if (await backfillNoteTimestamps()) {
+    await loadNotes();
+    await refreshNotesList();
+    const current = notes.find((note) => note.id === currentId);
+    if (current && !hasUnsavedChanges && !isViewingHistorySnapshot) {
+      await openNote(current, { source: 'system' });
+    }
+  }
   updateCurrentNoteState();
   await renderCurrentNoteHistory();
+  prefetchAttachmentPointers().catch((err) => console.warn(err));
   if (!hasInitializedHistoryState) {
     if (currentId) {
       updateHistoryForNote(currentId, { replace: true });
     } else {
-      replaceHistoryState({ view: 'list' });
-      hasInitializedHistoryState = true;
+      await restoreRouteFromUrl();
     }
   }
+  if (!currentId) {
+    await openLatestDraftNote();
+  }
+}
+
+/**
+ * @param {string} remoteUrl
+ * @param {{failed?: boolean; username?: string}} options
+ * @returns {Promise<import('./git-api.js').GitAuth>}
+ */
+async function requestCredentials(remoteUrl, options) {
+  const input = await promptCredentials(remoteUrl, options);
+  if (!input) return { cancel: true };
+  const credentials = { username: input.username, password: input.password };
+  await saveCredentials(remoteUrl, credentials, { persist: false });
+  pendingCredentialPersistence.set(getCredentialsId(remoteUrl), input.remember);
+  return credentials;
+}
+
+function installAuthHandlers() {
+  setAuthHandlers({
+    onAuth: async (remoteUrl) => {
+      const stored = await getCredentials(remoteUrl);
+      if (stored) return stored;
+      return requestCredentials(remoteUrl, {});
+    },
+    onAuthFailure: async (remoteUrl, auth) => {
+      await clearCredentials(remoteUrl);
+      return requestCredentials(remoteUrl, { failed: true, username: auth.username });
+    },
+    onAuthSuccess: async (remoteUrl, auth) => {
+      const credentialsId = getCredentialsId(remoteUrl);
+      const shouldPersist = pendingCredentialPersistence.get(credentialsId);
+      pendingCredentialPersistence.delete(credentialsId);
+      if (!shouldPersist || !auth.username || typeof auth.password !== 'string') return;
+      try {
+        await saveCredentials(remoteUrl, { username: auth.username, password: auth.password });
+      } catch (err) {
+        console.warn('failed to store credentials', err);
+      }
+    },
+  });
+}
+
+/**
+ * @param {import('./git-api.js').Repository} repository
+ */
+function activateRepository(repository) {
+  setActiveRepository(repository);
+  setSearchIndexScope(repository.id);
+  setDraftScope(repository.id);
+  renderRepositorySelect();
+}
+
+function resetNoteState() {
+  exitDiffMode();
+  notes = [];
+  noteMarkersById = {};
+  currentId = null;
+  currentMarkdown = '';
+  lastSavedMarkdown = '';
+  isViewingHistorySnapshot = false;
+  historyMarkdown = '';
+  currentTagFilter = createTagFilter();
+  currentFolder = '';
+  keptFolders = [];
+  visibleNotesCount = 0;
+  replaceHistoryState({ view: 'list' });
+  hasInitializedHistoryState = false;
+  setHasUnsavedChanges(false);
+  if (editor) {
+    isApplyingMarkdown = true;
+    editor.setMarkdown('');
+    isApplyingMarkdown = false;
+  }
+  updateCurrentNoteState();
+  renderNotesList({ resetVisibleCount: true, scrollToTop: true });
+  renderNoteHistory([], { emptyMessage: 'メモが選択されていません' });
+  renderCurrentAttachments();
+  historySelectEl.value = '';
+  historySelectEl.disabled = true;
+  updateRestoreButton();
+  syncFrontMatterForm();
+  showListOnMobile();
+}
+
+/**
+ * Swaps the repository inside the sync queue: a poll, push or save already
+ * queued finishes against the repository it started on.
+ * @param {string} id
+ */
+async function switchRepository(id) {
+  if (id === getActiveRepository().id) return;
+  await runSyncTask(async () => {
+    if (hasUnsavedChanges && currentId && !isViewingHistorySnapshot) {
+      await saveAndCommit();
+    }
+    activateRepository(setActiveRepositoryId(id));
+    resetNoteState();
+    resetAutoSync();
+    await bootstrap();
+  });
+}
+
+function handleSwitchRepository(id) {
+  switchRepository(id).catch((err) => {
+    console.error(err);
+    setStatusUi('switch failed');
+    renderRepositorySelect();
+  });
+}
+
+async function openSettings() {
+  const current = await getUserSettings();
+  const next = await openSettingsDialog({
+    ...current,
+    attachmentPointerThreshold: String(current.attachmentPointerThreshold / BYTES_PER_MB),
+    trashRetentionDays: String(current.trashRetentionDays),
+  });
+  if (!next) return;
+  const remoteUrl = new URL(String(next.remoteUrl), window.location.origin).href;
+  // An empty field keeps the current threshold; Number('') would be 0, i.e.
+  // pointers for every attachment.
+  const thresholdInput = String(next.attachmentPointerThreshold ?? '').trim();
+  const thresholdMb = thresholdInput ? Number(thresholdInput) : NaN;
+  const retentionDays = Number(next.trashRetentionDays);
+  /** @type {import('./git-api.js').UserSettings} */
+  const settings = {
+    name: String(next.name),
+    email: String(next.email),
+    remoteUrl,
+    autoSync: Boolean(next.autoSync),
+    timestampFormat: next.timestampFormat === 'epoch' ? 'epoch' : 'iso',
+    attachmentStorage: next.attachmentStorage === 'repo' ? 'repo' : 'blobs',
+    attachmentPointerThreshold:
+      thresholdMb >= 0
+        ? Math.round(thresholdMb * BYTES_PER_MB)
+        : current.attachmentPointerThreshold,
+    trashRetentionDays: retentionDays > 0 ? Math.floor(retentionDays) : 0,
+  };
+  await setUserSettings(settings);
+  setAutoSyncEnabled(settings.autoSync);
+  timestampFormat = settings.timestampFormat;
+  attachmentStorage = settings.attachmentStorage;
+  attachmentPointerThreshold = settings.attachmentPointerThreshold;
+  trashRetentionDays = settings.trashRetentionDays;
+  updateRepository(getActiveRepository().id, { url: remoteUrl });
+  renderRepositorySelect();
+  setStatusUi('settings saved');
+}
+
+/**
+ * Rewrites the tags of every note that uses them and commits the result once.
+ * @param {(tag: string) => string | null} mapTag
+ * @param {(count: number) => string} getMessage
+ * @returns {Promise<number>} number of notes changed
+ */
+async function rewriteTagsInNotes(mapTag, getMessage) {
+  if (hasUnsavedChanges && currentId && !isViewingHistorySnapshot) {
+    await saveAndCommit();
+  }
+  let count = 0;
+  for (let i = 0; i < notes.length; i += 1) {
+    const note = notes[i];
+    const body = rewriteNoteTags(note.body, mapTag);
+    if (body === note.body) continue;
+    note.body = body;
+    const filepath = await saveNoteFile(note);
+    await add({ filepath });
+    await updateSearchIndex(note);
+    count += 1;
+  }
+  if (!count) return 0;
+  await commit({ message: getMessage(count) });
+  requestAutoPush();
+
+  const current = notes.find((note) => note.id === currentId);
+  if (current && editor && !isViewingHistorySnapshot && current.body !== currentMarkdown) {
+    currentMarkdown = current.body;
+    lastSavedMarkdown = current.body;
+    isApplyingMarkdown = true;
+    editor.setMarkdown(current.body, false);
+    isApplyingMarkdown = false;
+    setHasUnsavedChanges(false);
+    syncFrontMatterForm();
+  }
+  currentTagFilter = mapTagFilter(currentTagFilter, mapTag);
+  replaceHistoryState(history.state ?? { view: 'list' });
+  await refreshNotesList();
+  return count;
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ */
+async function renameTag(from, to) {
+  const target = to.trim();
+  const isMerge = collectTagsFromNotes(notes).includes(target);
+  if (isMerge && !window.confirm(`タグ「${from}」を「${target}」に統合します。よろしいですか？`)) return;
+  setStatusUi('renaming tag…');
+  const count = await rewriteTagsInNotes(
+    (tag) => renameTagPath(tag, from, target),
+    (total) =>
+      isMerge
+        ? `merge tag "${from}" into "${target}" in ${total} notes`
+        : `rename tag "${from}" to "${target}" in ${total} notes`
+  );
+  setStatusUi(count ? `${isMerge ? 'merged' : 'renamed'} tag in ${count} notes` : 'no changes');
+}
+
+/**
+ * @returns {string[]} every folder that holds notes or a `.keep` file
+ */
+function collectFolders() {
+  const folders = new Set(keptFolders);
+  notes.forEach((note) => {
+    getFolderAncestors(getNoteFolder(note.id)).forEach((folder) => folders.add(folder));
+  });
+  return Array.from(folders).sort((a, b) => a.localeCompare(b));
+}
+
+function updateFolderTree() {
+  const tree = buildFolderTree(
+    notes.map((note) => note.id),
+    keptFolders
+  );
+  renderFolderTree(tree, currentFolder, notes.length);
+}
+
+/**
+ * @param {string} folder
+ */
+function selectFolder(folder) {
+  currentFolder = folder;
+  renderNotesList({ resetVisibleCount: true, scrollToTop: true });
+}
+
+/**
+ * @param {string} input
+ * @returns {string | null} the normalized path, or `null` after telling the user why not
+ */
+function readFolderInput(input) {
+  const folder = normalizeFolderPath(input);
+  if (folder === null) {
+    window.alert('「.」で始まるフォルダ名は使えません。');
+  }
+  return folder;
+}
+
+/**
+ * Moves notes (and `.keep` files) to new ids and commits the renames at once,
+ * keeping the open note, its URL and the search index in step.
+ * @param {[string, string][]} moves old id and new id pairs
+ * @param {string} message
+ */
+async function commitNoteMoves(moves, message) {
+  if (hasUnsavedChanges && currentId && !isViewingHistorySnapshot) {
+    await saveAndCommit();
+  }
+  for (const [fromId, toId] of moves) {
+    await moveFile(getNoteFilePath({ id: fromId }), getNoteFilePath({ id: toId }));
+    const note = notes.find((entry) => entry.id === fromId);
+    if (note) {
+      await removeFromSearchIndex(fromId);
+      await updateSearchIndex({ ...note, id: toId });
+    }
+  }
+  await commit({ message });
+  requestAutoPush();
+  for (const [fromId] of moves) {
+    if (getNoteFolder(fromId)) {
+      await removeEmptyDirectories(getNoteFilePath({ id: getNoteFolder(fromId) }));
+    }
+  }
+
+  const movedCurrent = moves.find(([fromId]) => fromId === currentId);
+  await loadNotes();
+  if (movedCurrent) {
+    currentId = movedCurrent[1];
+    updateHistoryForNote(currentId, { replace: true });
+    await renderCurrentNoteHistory();
+    updateCurrentNoteState();
+  }
+  await refreshNotesList();
+}
+
+async function moveCurrentNote() {
+  if (!currentId || isViewingHistorySnapshot) return;
+  const fromFolder = getNoteFolder(currentId);
+  const input = await promptFolderPath({
+    title: 'Move note',
+    value: fromFolder,
+    folders: collectFolders(),
+  });
+  if (input === null) return;
+  const folder = readFolderInput(input);
+  if (folder === null || folder === fromFolder) return;
+  const title = getNoteTitle(parseNoteBody(currentMarkdown));
+  const moves = [[currentId, joinFolderPath(folder, getNoteBaseName(currentId))]];
+  setStatusUi('moving…');
+  await runSyncTask(() =>
+    commitNoteMoves(
+      /** @type {[string, string][]} */ (moves),
+      folder ? `move "${title}" to "${folder}"` : `move "${title}" to the top level`
+    )
+  );
+  setStatusUi('moved');
+}
+
+async function createFolder() {
+  const input = await promptFolderPath({
+    title: 'New folder',
+    value: currentFolder ? `${currentFolder}/` : '',
+    folders: collectFolders(),
+  });
+  if (input === null) return;
+  const folder = readFolderInput(input);
+  if (!folder) return;
+  if (!collectFolders().includes(folder)) {
+    const filepath = getNoteFilePath({ id: joinFolderPath(folder, FOLDER_KEEP_FILE) });
+    await runSyncTask(async () => {
+      await makeParentDirectories(filepath);
+      await pfs.writeFile(`${dir}/${filepath}`, '', 'utf8');
+      await add({ filepath });
+      await commit({ message: `create folder "${folder}"` });
+    });
+    requestAutoPush();
+    keptFolders.push(folder);
+  }
+  selectFolder(folder);
+}
+
+async function renameFolder() {
+  const from = currentFolder;
+  if (!from) return;
+  const input = await promptFolderPath({
+    title: `Rename "${from}"`,
+    value: from,
+    folders: collectFolders(),
+  });
+  if (input === null) return;
+  const to = readFolderInput(input);
+  if (!to || to === from) return;
+  if (isInFolder(to, from)) {
+    window.alert('フォルダを自分自身の中に移動することはできません。');
+    return;
+  }
+  const isMerge = collectFolders().includes(to);
+  if (isMerge && !window.confirm(`フォルダ「${from}」を「${to}」に統合します。よろしいですか？`)) return;
+  const files = await listNoteFiles(`${notesDir}/${from}`);
+  /** @type {[string, string][]} */
+  const moves = files.map(({ path }) => {
+    const id = getNoteIdFromPath(path);
+    return [id, renameFolderPath(id, from, to)];
+  });
+  setStatusUi('renaming folder…');
+  await runSyncTask(() =>
+    commitNoteMoves(
+      moves,
+      isMerge ? `merge folder "${from}" into "${to}"` : `rename folder "${from}" to "${to}"`
+    )
+  );
+  selectFolder(to);
+  setStatusUi(isMerge ? 'merged folder' : 'renamed folder');
+}
+
+/**
+ * @param {string} target
+ */
+async function deleteTag(target) {
+  const usage = countTagsInNotes(notes).get(target) ?? 0;
+  if (!window.confirm(`タグ「${target}」を${usage}件のメモから削除します。よろしいですか？`)) return;
+  setStatusUi('deleting tag…');
+  const count = await rewriteTagsInNotes(
+    (tag) => (tag === target ? null : tag),
+    (total) => `delete tag "${target}" from ${total} notes`
+  );
+  setStatusUi(count ? `deleted tag from ${count} notes` : 'no changes');
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<Uint8Array<ArrayBuffer> | null>}
+ */
+async function fetchBlobBytes(url) {
+  const response = await globalThis.fetch(url);
+  if (!response.ok) return null;
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function exportNotebook() {
+  setStatusUi('exporting…');
+  const files = (await listNoteFiles(notesDir)).filter(
+    ({ path }) => getNoteBaseName(path) !== FOLDER_KEEP_FILE
+  );
+  const archiveNotes = await Promise.all(
+    files.map(async ({ path }) => ({
+      id: getNoteIdFromPath(path),
+      /** @type {string} */
+      body: await pfs.readFile(path, 'utf8'),
+    }))
+  );
+  const archive = await buildExportArchive(archiveNotes, fetchBlobBytes);
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([archive], { type: 'application/zip' }));
+  link.download = `${getActiveRepository().name}-${date}.zip`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  setStatusUi(`exported ${archiveNotes.length} notes`);
+}
+
+async function importNotebook() {
+  const picked = await openImportDialog();
+  if (!picked) return;
+  setStatusUi('importing…');
+  const files = await readImportFiles(picked);
+  if (!files.markdown.length) {
+    setStatusUi('nothing to import');
+    return;
+  }
+  await runSyncTask(() => commitImportedNotes(files));
+}
+
+/**
+ * @param {Awaited<ReturnType<typeof readImportFiles>>} files
+ */
+async function commitImportedNotes({ markdown, assets }) {
+  if (hasUnsavedChanges && currentId && !isViewingHistorySnapshot) {
+    await saveAndCommit();
+  }
+  for (let i = 0; i < markdown.length; i += 1) {
+    const file = markdown[i];
+    const id = joinFolderPath(currentFolder, randomId());
+    const titled = ensureImportedTitle(file);
+    const body = await relinkImportedAssets(file, titled, assets, async (path, data) => {
+      try {
+        return await storeAttachment(new File([data], getBaseName(path)));
+      } catch (err) {
+        console.warn(`failed to upload ${path}`, err);
+        return null;
+      }
+    });
+    const filepath = await saveNoteFile({ id, body });
+    await add({ filepath });
+    await updateSearchIndex({ id, body });
+  }
+  await commit({ message: `import ${markdown.length} notes` });
+  requestAutoPush();
+  await loadNotes();
+  await refreshNotesList();
+  setStatusUi(`imported ${markdown.length} notes`);
 }
 
 function handleCloneAction() {
-  cloneRepo().catch((err) => {
+  runSyncTask(cloneRepo).catch((err) => {
     console.error(err);
     setStatusUi('new note failed');
   });
 }
 
+/**
+ * Asks for an optional push message when there is something to push; resolves
+ * with `null` when the push was cancelled.
+ * @returns {Promise<string | null>}
+ */
+async function readPushMessage() {
+  const [localOid, remoteOid] = await Promise.all([
+    git.resolveRef({ fs, dir, ref: getLocalRef() }).catch(() => null),
+    git.resolveRef({ fs, dir, ref: getRemoteRef() }).catch(() => null),
+  ]);
+  const hasPendingChanges =
+    (hasUnsavedChanges && !isViewingHistorySnapshot) ||
+    (await hasLocalCommitsToPush(localOid, remoteOid));
+  if (!hasPendingChanges) return '';
+  const message = await promptPushMessage();
+  return message === null ? null : message.trim();
+}
+
 pushBtn.addEventListener('click', () => {
-  pushChanges().catch((err) => {
-    console.error(err);
-    setStatusUi('push failed');
-  });
+  readPushMessage()
+    .then((message) => {
+      if (message === null) return;
+      return runSyncTask(() => pushChanges({ message }));
+    })
+    .catch((err) => {
+      console.error(err);
+      setStatusUi('push failed');
+    });
 });
 
 pullBtn.addEventListener('click', () => {
-  pullChanges().catch((err) => {
+  runSyncTask(pullChanges).catch((err) => {
     console.error(err);
     setStatusUi('pull failed');
   });
 });
 
 resetBtn.addEventListener('click', () => {
-  resetNotesToOrigin().catch((err) => {
+  runSyncTask(resetNotesToOrigin).catch((err) => {
     console.error(err);
     setStatusUi('reset failed');
   });
@@ -1181,6 +2851,50 @@ resetBtn.addEventListener('click', () => {
 if (cloneBtn) {
   cloneBtn.addEventListener('click', handleCloneAction);
 }
+
+exportBtn.addEventListener('click', () => {
+  exportNotebook().catch((err) => {
+    console.error(err);
+    setStatusUi('export failed');
+  });
+});
+
+importBtn.addEventListener('click', () => {
+  importNotebook().catch((err) => {
+    console.error(err);
+    setStatusUi('import failed');
+  });
+});
+
+settingsBtn.addEventListener('click', () => {
+  openSettings().catch((err) => {
+    console.error(err);
+    setStatusUi('settings failed');
+  });
+});
+
+repoSelectEl.addEventListener('change', () => {
+  handleSwitchRepository(repoSelectEl.value);
+});
+
+manageReposBtn.addEventListener('click', () => {
+  openRepositoryManager({
+    onSelect: (id) => handleSwitchRepository(id),
+    onAdd: (fields) => {
+      const repository = addRepository(fields);
+      renderRepositorySelect();
+      handleSwitchRepository(repository.id);
+    },
+    onRemove: (id) => {
+      const message = 'このリポジトリのローカルコピーを削除します。よろしいですか？';
+      if (!window.confirm(message)) return;
+      removeRepository(id);
+      deleteSearchIndex(id);
+      deleteDrafts(id);
+      renderRepositorySelect();
+    },
+  });
+});
 if (emptyCloneBtn) {
   emptyCloneBtn.addEventListener('click', handleCloneAction);
 }
@@ -1192,13 +2906,71 @@ newBtn.addEventListener('click', () => {
   });
 });
 
-tagFilterEl.addEventListener('change', () => {
-  currentTagFilter = tagFilterEl.value;
+editorHostEl.addEventListener('drop', (event) => handleFileTransfer(event, event.dataTransfer), true);
+editorHostEl.addEventListener('paste', (event) => handleFileTransfer(event, event.clipboardData), true);
+
+editorHostEl.addEventListener('click', (event) => {
+  const title = getWikiLinkTitleFromTarget(event.target);
+  if (!title) return;
+  // Editable text needs a modifier so links can still be edited in place.
+  const isEditable = event.target instanceof Element && event.target.closest('[contenteditable="true"]');
+  if (isEditable && !(event.ctrlKey || event.metaKey)) return;
+  event.preventDefault();
+  openWikiLink(title).catch((err) => {
+    console.error(err);
+    setStatusUi('open link failed');
+  });
+});
+
+searchInputEl.addEventListener('input', () => {
+  currentSearchQuery = searchInputEl.value;
   renderNotesList({ resetVisibleCount: true, scrollToTop: true });
 });
 
+setTagTreeHandlers({ onChange: setTagFilter });
+setFolderTreeHandlers({ onSelect: selectFolder });
+
+newFolderBtn.addEventListener('click', () => {
+  createFolder().catch((err) => {
+    console.error(err);
+    setStatusUi('create folder failed');
+  });
+});
+
+renameFolderBtn.addEventListener('click', () => {
+  renameFolder().catch((err) => {
+    console.error(err);
+    setStatusUi('rename folder failed');
+  });
+});
+
+trashBtn.addEventListener('click', () => {
+  openTrash({
+    load: () => runSyncTask(loadTrash),
+    onRestore: (entry) => runSyncTask(() => restoreDeletedNote(entry)),
+  });
+});
+
+moveNoteBtn.addEventListener('click', () => {
+  moveCurrentNote().catch((err) => {
+    console.error(err);
+    setStatusUi('move failed');
+  });
+});
+
+manageTagsBtn.addEventListener('click', () => {
+  openTagManager({
+    getTags: () =>
+      Array.from(countTagsInNotes(notes), ([tag, count]) => ({ tag, count })).sort((a, b) =>
+        a.tag.localeCompare(b.tag)
+      ),
+    onRename: (from, to) => runSyncTask(() => renameTag(from, to)),
+    onDelete: (tag) => runSyncTask(() => deleteTag(tag)),
+  });
+});
+
 deleteBtn.addEventListener('click', () => {
-  deleteCurrentNote().catch((err) => {
+  runSyncTask(deleteCurrentNote).catch((err) => {
     console.error(err);
     setStatusUi('delete failed');
   });
@@ -1206,13 +2978,50 @@ deleteBtn.addEventListener('click', () => {
 
 historySelectEl.addEventListener('change', () => {
   if (!currentId) return;
+  exitDiffMode();
   const oid = historySelectEl.value;
   if (!oid || oid === '__empty') {
     showCurrentInEditor();
+    replaceHistoryState(getCurrentHistoryState());
+    return;
+  }
+  showHistoryInEditor(oid)
+    .then(() => replaceHistoryState(getCurrentHistoryState()))
+    .catch((err) => {
+      console.warn('failed to show history in editor', err);
+    });
+});
+
+historyDiffBtn.addEventListener('click', () => {
+  if (isViewingDiff) {
+    exitDiffMode();
     return;
   }
-  showHistoryInEditor(oid).catch((err) => {
-    console.warn('failed to show history in editor', err);
+  enterDiffMode().catch((err) => {
+    console.warn('failed to show diff', err);
+  });
+});
+
+[diffFromSelectEl, diffToSelectEl].forEach((selectEl) => {
+  selectEl.addEventListener('change', () => {
+    showDiffView().catch((err) => {
+      console.warn('failed to show diff', err);
+    });
+  });
+});
+
+historyRestoreBtn.addEventListener('click', () => {
+  const oid = getRestorableOid();
+  if (!oid) return;
+  if (
+    hasUnsavedChanges &&
+    !window.confirm('未保存の変更は失われます。この版に戻しますか？')
+  ) {
+    return;
+  }
+  runSyncTask(() => restoreHistoryVersion(oid)).catch((err) => {
+    console.error(err);
+    setStatusUi('restore failed');
   });
 });
 applyMobileUiState();
@@ -1242,23 +3051,24 @@ colorSchemeMedia.addEventListener('change', () => {
 mobileMedia.addEventListener('change', applyMobileUiState);
 coarsePointerMedia.addEventListener('change', applyMobileUiState);
 
+/**
+ * Restores the view from the URL, which also covers hand-edited or pasted
+ * hashes that arrive without a history state.
+ * @param {PopStateEvent} event
+ */
 async function handlePopState(event) {
   isHandlingPopState = true;
   try {
-    const state = event.state;
-    if (state && state.view === 'note' && typeof state.id === 'string') {
-      const note = notes.find((entry) => entry.id === state.id);
-      if (note) {
-        await openNote(note, { source: 'history' });
-        return;
-      }
-    }
-    if (isMobileLayout()) {
+    const didShowNote = await applyRoute(parseRoute(window.location.href));
+    if (!didShowNote && isMobileLayout()) {
       showListOnMobile({ source: 'history' });
     }
   } finally {
     isHandlingPopState = false;
   }
+  if (!event.state) {
+    replaceHistoryState(getCurrentHistoryState());
+  }
 }
 
 window.addEventListener('popstate', (event) => {
@@ -1267,7 +3077,34 @@ window.addEventListener('popstate', (event) => {
   });
 });
 
-bootstrap().catch((err) => {
+window.addEventListener('offline', () => {
+  setStatusUi('offline (local only)');
+});
+
+// Mobile browsers may kill a hidden page without further events.
+window.addEventListener('pagehide', () => {
+  flushDraftSave().catch((err) => console.warn(err));
+});
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState !== 'hidden') return;
+  flushDraftSave().catch((err) => console.warn(err));
+});
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('./sw.js').catch((err) => {
+    console.warn('service worker registration failed', err);
+  });
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    handleAttachmentRequest(event).catch((err) => console.error(err));
+  });
+}
+
+installAuthHandlers();
+installAutoSync();
+installFrontMatterForm();
+activateRepository(getActiveRepository());
+
+runSyncTask(bootstrap).catch((err) => {
   console.error(err);
   setStatusUi('failed to start');
 });
@@ -0,0 +1,74 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+import { formatFileSize } from './note-utils.js';
+
+/**
+ * @typedef {{
+ *   signal: AbortSignal;
+ *   update: (loaded: number, total: number) => void;
+ *   done: () => void;
+ * }} UploadTracker
+ */
+
+/** @type {HTMLUListElement} */
+const uploadListEl = getRequiredElement('upload-progress');
+/** @type {HTMLElement} */
+const attachmentsEl = getRequiredElement('attachments');
+/** @type {HTMLUListElement} */
+const attachmentsListEl = getRequiredElement('attachments-list');
+
+/**
+ * Adds a row with a progress bar and a cancel button for one upload.
+ * Cancelling aborts the returned signal.
+ * @param {{name: string; size: number}} file
+ * @returns {UploadTracker}
+ */
+export function trackUpload(file) {
+  const controller = new AbortController();
+  const li = document.createElement('li');
+  const nameEl = document.createElement('span');
+  nameEl.className = 'upload-name';
+  nameEl.textContent = `${file.name} (${formatFileSize(file.size)})`;
+  const progressEl = document.createElement('progress');
+  progressEl.max = 1;
+  progressEl.value = 0;
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => controller.abort());
+  li.append(nameEl, progressEl, cancelBtn);
+  uploadListEl.appendChild(li);
+  uploadListEl.hidden = false;
+
+  return {
+    signal: controller.signal,
+    update: (loaded, total) => {
+      progressEl.value = total ? loaded / total : 0;
+    },
+    done: () => {
+      li.remove();
+      uploadListEl.hidden = !uploadListEl.children.length;
+    },
+  };
+}
+
+/**
+ * @param {{url: string; label: string; isImage: boolean}[]} entries
+ */
+export function renderAttachments(entries) {
+  attachmentsListEl.innerHTML = '';
+  attachmentsEl.hidden = !entries.length;
+  entries.forEach((entry) => {
+    const li = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = entry.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = entry.label || entry.url.slice(entry.url.lastIndexOf('/') + 1);
+    if (entry.isImage) {
+      li.classList.add('is-image');
+    }
+    li.appendChild(link);
+    attachmentsListEl.appendChild(li);
+  });
+}
@@ -0,0 +1,88 @@
+'use strict';
+
+/** Repository directory for attachments committed alongside `notes/`. */
+export const ATTACHMENTS_DIR = 'attachments';
+
+const POINTER_VERSION = 'https://git-lfs.github.com/spec/v1';
+// Real pointers are ~130 bytes; anything much larger is a file, not a pointer.
+export const MAX_POINTER_SIZE = 1024;
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * @typedef {'blobs' | 'repo'} AttachmentStorage
+ * @typedef {{oid: string; size: number}} AttachmentPointer
+ */
+
+/**
+ * Formats a Git LFS pointer file; the bytes live in the blob store under the
+ * same SHA-256.
+ * @param {string} hash
+ * @param {number} size
+ * @returns {string}
+ */
+export function formatAttachmentPointer(hash, size) {
+  return `version ${POINTER_VERSION}\noid sha256:${hash}\nsize ${size}\n`;
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {AttachmentPointer | null} `null` for regular file contents
+ */
+export function parseAttachmentPointer(data) {
+  if (data.length > MAX_POINTER_SIZE) return null;
+  const text = new TextDecoder().decode(data);
+  if (!text.startsWith(`version ${POINTER_VERSION}\n`)) return null;
+  const oidMatch = text.match(/^oid sha256:([0-9a-f]{64})$/m);
+  const sizeMatch = text.match(/^size (\d+)$/m);
+  if (!oidMatch || !sizeMatch) return null;
+  return { oid: oidMatch[1], size: Number(sizeMatch[1]) };
+}
+
+/**
+ * Attachments are named `<sha256>.<ext>`, so the blob store URL of a pointer
+ * follows from its path.
+ * @param {string} filepath e.g. `attachments/<sha256>.png`
+ * @param {AttachmentPointer} pointer
+ * @returns {string}
+ */
+export function getPointerBlobUrl(filepath, pointer) {
+  const name = filepath.slice(filepath.lastIndexOf('/') + 1);
+  const dot = name.lastIndexOf('.');
+  const ext = dot === -1 ? 'bin' : name.slice(dot + 1);
+  return `/blobs/sha256/${pointer.oid.slice(0, 2)}/${pointer.oid}.${ext}`;
+}
+
+/**
+ * @param {string} pathname URL path such as `/attachments/<sha256>.png`
+ * @returns {string | null} repository path, or `null` outside `attachments/`
+ */
+export function getAttachmentPath(pathname) {
+  const prefix = `/${ATTACHMENTS_DIR}/`;
+  if (!pathname.startsWith(prefix)) return null;
+  let name = pathname.slice(prefix.length);
+  try {
+    name = decodeURIComponent(name);
+  } catch (err) {
+    return null;
+  }
+  if (!name || name.includes('/') || name.startsWith('.')) return null;
+  return `${ATTACHMENTS_DIR}/${name}`;
+}
+
+/**
+ * @param {string} hash
+ * @param {string} ext
+ * @returns {string}
+ */
+export function getAttachmentFilePath(hash, ext) {
+  return `${ATTACHMENTS_DIR}/${hash}.${ext}`;
+}
+
+/**
+ * @param {string} name
+ * @returns {string | null} the SHA-256 an attachment file name starts with
+ */
+export function getAttachmentHash(name) {
+  const base = name.slice(name.lastIndexOf('/') + 1).replace(/\.[^.]*$/, '');
+  return HASH_PATTERN.test(base) ? base : null;
+}
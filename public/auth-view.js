@@ -0,0 +1,80 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+
+/** @typedef {{username: string; password: string; remember: boolean}} CredentialsInput */
+
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('auth-dialog');
+/** @type {HTMLFormElement} */
+const formEl = getRequiredElement('auth-form');
+/** @type {HTMLParagraphElement} */
+const messageEl = getRequiredElement('auth-message');
+/** @type {HTMLButtonElement} */
+const cancelBtn = getRequiredElement('auth-cancel');
+
+/** @type {Promise<CredentialsInput | null> | null} */
+let pending = null;
+/** @type {((value: CredentialsInput | null) => void) | null} */
+let settle = null;
+
+/**
+ * @param {CredentialsInput | null} value
+ */
+function finish(value) {
+  const done = settle;
+  settle = null;
+  pending = null;
+  if (dialogEl.open) {
+    dialogEl.close();
+  }
+  if (done) {
+    done(value);
+  }
+}
+
+/**
+ * Asks for a username and password (or token). Concurrent requests share the
+ * same dialog.
+ * @param {string} url
+ * @param {{failed?: boolean; username?: string}} [options]
+ * @returns {Promise<CredentialsInput | null>}
+ */
+export function promptCredentials(url, options = {}) {
+  if (pending) return pending;
+  let host = url;
+  try {
+    host = new URL(url, window.location.origin).host;
+  } catch (err) {
+    // Keep the raw url in the message.
+  }
+  formEl.reset();
+  messageEl.textContent = options.failed
+    ? `Sign-in to ${host} failed. Try again.`
+    : `Sign in to ${host}`;
+  messageEl.classList.toggle('is-error', Boolean(options.failed));
+  if (options.username) {
+    /** @type {HTMLInputElement} */ (formEl.elements.namedItem('username')).value =
+      options.username;
+  }
+  pending = new Promise((resolve) => {
+    settle = resolve;
+    dialogEl.showModal();
+  });
+  return pending;
+}
+
+formEl.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const data = new FormData(formEl);
+  finish({
+    username: String(data.get('username') ?? ''),
+    password: String(data.get('password') ?? ''),
+    remember: data.get('remember') === 'on',
+  });
+});
+
+cancelBtn.addEventListener('click', () => finish(null));
+dialogEl.addEventListener('cancel', (event) => {
+  event.preventDefault();
+  finish(null);
+});
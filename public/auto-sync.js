@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * @typedef {{
+ *   push: () => Promise<boolean>;
+ *   poll: () => Promise<boolean>;
+ *   isPaused: () => boolean;
+ * }} AutoSyncHandlers
+ */
+
+const PUSH_DEBOUNCE_MS = 5000;
+const POLL_INTERVAL_MS = 60000;
+const PAUSED_RETRY_MS = 3000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+let enabled = false;
+let isPushPending = false;
+let failureCount = 0;
+/** @type {AutoSyncHandlers | null} */
+let handlers = null;
+/** @type {ReturnType<typeof setTimeout> | null} */
+let pushTimer = null;
+/** @type {ReturnType<typeof setTimeout> | null} */
+let pollTimer = null;
+/** @type {Promise<unknown>} */
+let syncQueue = Promise.resolve();
+
+/**
+ * Runs git sync work one task at a time so manual and background syncs never
+ * fetch, merge or push concurrently.
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+export function runSyncTask(task) {
+  const run = syncQueue.then(task, task);
+  syncQueue = run.catch(() => {});
+  return run;
+}
+
+function isOnline() {
+  return navigator.onLine !== false;
+}
+
+/**
+ * @param {number} baseMs
+ * @returns {number}
+ */
+function getBackoffDelay(baseMs) {
+  if (!failureCount) return baseMs;
+  return Math.min(baseMs * 2 ** failureCount, MAX_BACKOFF_MS);
+}
+
+/**
+ * @param {number} delayMs
+ */
+function schedulePush(delayMs) {
+  if (pushTimer) {
+    clearTimeout(pushTimer);
+  }
+  pushTimer = setTimeout(() => {
+    pushTimer = null;
+    firePush().catch((err) => {
+      console.error('auto push failed', err);
+    });
+  }, delayMs);
+}
+
+/**
+ * @param {number} delayMs
+ */
+function schedulePoll(delayMs) {
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+  }
+  pollTimer = setTimeout(() => {
+    pollTimer = null;
+    firePoll().catch((err) => {
+      console.error('auto poll failed', err);
+    });
+  }, delayMs);
+}
+
+function clearTimers() {
+  if (pushTimer) {
+    clearTimeout(pushTimer);
+    pushTimer = null;
+  }
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * @param {() => Promise<boolean>} task
+ * @returns {Promise<boolean>}
+ */
+async function runHandler(task) {
+  try {
+    const ok = await runSyncTask(task);
+    failureCount = ok ? 0 : failureCount + 1;
+    return ok;
+  } catch (err) {
+    console.warn('auto sync failed', err);
+    failureCount += 1;
+    return false;
+  }
+}
+
+async function firePush() {
+  if (!enabled || !handlers || !isPushPending) return;
+  // The `online` listener resumes once connectivity returns.
+  if (!isOnline()) return;
+  if (handlers.isPaused()) {
+    schedulePush(PAUSED_RETRY_MS);
+    return;
+  }
+  isPushPending = false;
+  const ok = await runHandler(handlers.push);
+  if (!ok) {
+    isPushPending = true;
+    schedulePush(getBackoffDelay(PUSH_DEBOUNCE_MS));
+  }
+}
+
+async function firePoll() {
+  if (!enabled || !handlers) return;
+  // Hidden tabs and offline devices wait for `visibilitychange` / `online`.
+  if (!isOnline() || document.hidden) return;
+  if (handlers.isPaused()) {
+    schedulePoll(POLL_INTERVAL_MS);
+    return;
+  }
+  await runHandler(handlers.poll);
+  schedulePoll(getBackoffDelay(POLL_INTERVAL_MS));
+}
+
+/**
+ * @param {AutoSyncHandlers} nextHandlers
+ */
+export function configureAutoSync(nextHandlers) {
+  handlers = nextHandlers;
+}
+
+/**
+ * @param {boolean} next
+ */
+export function setAutoSyncEnabled(next) {
+  enabled = next;
+  failureCount = 0;
+  clearTimers();
+  if (!enabled) return;
+  schedulePoll(POLL_INTERVAL_MS);
+  if (isPushPending) {
+    schedulePush(PUSH_DEBOUNCE_MS);
+  }
+}
+
+export function isAutoSyncEnabled() {
+  return enabled;
+}
+
+/**
+ * Pushes shortly after the latest local commit; rapid saves are coalesced.
+ */
+export function requestAutoPush() {
+  isPushPending = true;
+  if (!enabled) return;
+  schedulePush(PUSH_DEBOUNCE_MS);
+}
+
+/**
+ * Drops background work queued for the previous repository.
+ */
+export function resetAutoSync() {
+  isPushPending = false;
+  setAutoSyncEnabled(enabled);
+}
+
+window.addEventListener('online', () => {
+  if (!enabled) return;
+  failureCount = 0;
+  if (isPushPending) {
+    schedulePush(0);
+  }
+  schedulePoll(0);
+});
+
+document.addEventListener('visibilitychange', () => {
+  if (!enabled || document.hidden || pollTimer) return;
+  schedulePoll(0);
+});
@@ -0,0 +1,142 @@
+'use strict';
+import { openDatabase, requestToPromise, transactionDone } from './idb.js';
+
+const DB_NAME = 'notig-credentials';
+const DB_VERSION = 1;
+const KEYS_STORE = 'keys';
+const CREDENTIALS_STORE = 'credentials';
+const MASTER_KEY_ID = 'master';
+
+/**
+ * @typedef {{username: string; password: string}} Credentials
+ * @typedef {{id: string; iv: Uint8Array<ArrayBuffer>; data: ArrayBuffer}} EncryptedCredentials
+ */
+
+/** @type {Map<string, Credentials>} */
+const sessionCredentials = new Map();
+/** @type {Promise<IDBDatabase> | null} */
+let dbPromise = null;
+
+/**
+ * Credentials are shared by every repository on the same server.
+ * @param {string} url
+ * @returns {string}
+ */
+export function getCredentialsId(url) {
+  try {
+    return new URL(url, window.location.origin).origin;
+  } catch (err) {
+    return url;
+  }
+}
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(KEYS_STORE)) {
+        db.createObjectStore(KEYS_STORE);
+      }
+      if (!db.objectStoreNames.contains(CREDENTIALS_STORE)) {
+        db.createObjectStore(CREDENTIALS_STORE, { keyPath: 'id' });
+      }
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Returns the device key used to encrypt stored credentials. It is created as
+ * non-extractable, so scripts can use it but never read the raw key material.
+ * @param {IDBDatabase} db
+ * @returns {Promise<CryptoKey>}
+ */
+async function getMasterKey(db) {
+  const readTx = db.transaction(KEYS_STORE, 'readonly');
+  /** @type {CryptoKey | undefined} */
+  const existing = await requestToPromise(readTx.objectStore(KEYS_STORE).get(MASTER_KEY_ID));
+  if (existing) return existing;
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [
+    'encrypt',
+    'decrypt',
+  ]);
+  const writeTx = db.transaction(KEYS_STORE, 'readwrite');
+  writeTx.objectStore(KEYS_STORE).put(key, MASTER_KEY_ID);
+  await transactionDone(writeTx);
+  return key;
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<Credentials | null>}
+ */
+export async function getCredentials(url) {
+  const id = getCredentialsId(url);
+  const cached = sessionCredentials.get(id);
+  if (cached) return cached;
+  try {
+    const db = await getDatabase();
+    const tx = db.transaction(CREDENTIALS_STORE, 'readonly');
+    /** @type {EncryptedCredentials | undefined} */
+    const stored = await requestToPromise(tx.objectStore(CREDENTIALS_STORE).get(id));
+    if (!stored) return null;
+    const key = await getMasterKey(db);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: stored.iv }, key, stored.data);
+    const parsed = JSON.parse(new TextDecoder().decode(plain));
+    if (typeof parsed?.username !== 'string' || typeof parsed?.password !== 'string') {
+      return null;
+    }
+    /** @type {Credentials} */
+    const credentials = { username: parsed.username, password: parsed.password };
+    sessionCredentials.set(id, credentials);
+    return credentials;
+  } catch (err) {
+    console.warn('failed to read stored credentials', err);
+    return null;
+  }
+}
+
+/**
+ * @param {string} url
+ * @param {Credentials} credentials
+ * @param {{persist?: boolean}} [options] `persist: false` keeps them for this session only
+ */
+export async function saveCredentials(url, credentials, options = {}) {
+  const id = getCredentialsId(url);
+  sessionCredentials.set(id, credentials);
+  if (options.persist === false) return;
+  const db = await getDatabase();
+  const key = await getMasterKey(db);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(credentials))
+  );
+  const tx = db.transaction(CREDENTIALS_STORE, 'readwrite');
+  /** @type {EncryptedCredentials} */
+  const record = { id, iv, data };
+  tx.objectStore(CREDENTIALS_STORE).put(record);
+  await transactionDone(tx);
+}
+
+/**
+ * @param {string} url
+ */
+export async function clearCredentials(url) {
+  const id = getCredentialsId(url);
+  sessionCredentials.delete(id);
+  try {
+    const db = await getDatabase();
+    const tx = db.transaction(CREDENTIALS_STORE, 'readwrite');
+    tx.objectStore(CREDENTIALS_STORE).delete(id);
+    await transactionDone(tx);
+  } catch (err) {
+    console.warn('failed to clear stored credentials', err);
+  }
+}
@@ -0,0 +1,380 @@
+'use strict';
+
+/**
+ * @template T
+ * @typedef {{type: 'equal' | 'delete' | 'insert'; items: T[]}} DiffOp
+ */
+
+/**
+ * @typedef {{type: 'ok'; lines: string[]} | {type: 'conflict'; base: string[]; ours: string[]; theirs: string[]}} MergeChunk
+ * @typedef {'ours' | 'theirs' | 'both' | 'base'} MergeChoice
+ */
+
+export const CONFLICT_MARKER_PATTERN = /^(<{7}|={7}|>{7})( |$)/m;
+
+/**
+ * @template T
+ * @param {DiffOp<T>[]} ops
+ * @param {DiffOp<T>['type']} type
+ * @param {T[]} items
+ */
+function pushOp(ops, type, items) {
+  if (!items.length) return;
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) {
+    last.items.push(...items);
+    return;
+  }
+  ops.push({ type, items: items.slice() });
+}
+
+/**
+ * Myers O(ND) diff without the common prefix/suffix.
+ * @template T
+ * @param {T[]} a
+ * @param {T[]} b
+ * @returns {DiffOp<T>[]}
+ */
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  /** @type {DiffOp<T>[]} */
+  const ops = [];
+  if (!n || !m) {
+    pushOp(ops, 'delete', a);
+    pushOp(ops, 'insert', b);
+    return ops;
+  }
+
+  const max = n + m;
+  const offset = max;
+  const v = new Int32Array(2 * max + 2);
+  /** @type {Int32Array[]} */
+  const trace = [];
+  let done = false;
+  for (let d = 0; d <= max && !done; d += 1) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  /** @type {[DiffOp<T>['type'], T][]} */
+  const moves = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d -= 1) {
+    const prev = trace[d];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && prev[k - 1 + d] < prev[k + 1 + d]) ? k + 1 : k - 1;
+    const prevX = prev[prevK + d];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      moves.push(['equal', a[x - 1]]);
+      x -= 1;
+      y -= 1;
+    }
+    if (x === prevX) {
+      moves.push(['insert', b[y - 1]]);
+    } else {
+      moves.push(['delete', a[x - 1]]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    moves.push(['equal', a[x - 1]]);
+    x -= 1;
+    y -= 1;
+  }
+
+  moves.reverse().forEach(([type, item]) => {
+    pushOp(ops, type, [item]);
+  });
+  return ops;
+}
+
+/**
+ * @template T
+ * @param {T[]} a
+ * @param {T[]} b
+ * @returns {DiffOp<T>[]}
+ */
+export function diffSequences(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  /** @type {DiffOp<T>[]} */
+  const ops = [];
+  pushOp(ops, 'equal', a.slice(0, start));
+  myersDiff(a.slice(start, endA), b.slice(start, endB)).forEach((op) => {
+    pushOp(ops, op.type, op.items);
+  });
+  pushOp(ops, 'equal', a.slice(endA));
+  return ops;
+}
+
+/**
+ * @param {string | null | undefined} text
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  return text.replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {DiffOp<string>[]}
+ */
+export function diffLines(a, b) {
+  return diffSequences(splitLines(a), splitLines(b));
+}
+
+/**
+ * @param {string[]} base
+ * @param {string[]} other
+ * @returns {(number | undefined)[]}
+ */
+function getMatchedIndices(base, other) {
+  /** @type {(number | undefined)[]} */
+  const matches = new Array(base.length);
+  let i = 0;
+  let j = 0;
+  diffSequences(base, other).forEach((op) => {
+    if (op.type === 'equal') {
+      op.items.forEach(() => {
+        matches[i] = j;
+        i += 1;
+        j += 1;
+      });
+    } else if (op.type === 'delete') {
+      i += op.items.length;
+    } else {
+      j += op.items.length;
+    }
+  });
+  return matches;
+}
+
+/**
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * @param {MergeChunk[]} chunks
+ * @param {string[]} lines
+ */
+function pushOkChunk(chunks, lines) {
+  if (!lines.length) return;
+  const last = chunks[chunks.length - 1];
+  if (last && last.type === 'ok') {
+    last.lines.push(...lines);
+    return;
+  }
+  chunks.push({ type: 'ok', lines: lines.slice() });
+}
+
+/**
+ * @param {MergeChunk[]} chunks
+ * @param {string[]} base
+ * @param {string[]} ours
+ * @param {string[]} theirs
+ */
+function pushUnstableChunk(chunks, base, ours, theirs) {
+  if (sameLines(ours, base)) {
+    pushOkChunk(chunks, theirs);
+  } else if (sameLines(theirs, base) || sameLines(ours, theirs)) {
+    pushOkChunk(chunks, ours);
+  } else {
+    chunks.push({ type: 'conflict', base, ours, theirs });
+  }
+}
+
+/**
+ * Line-based three-way merge: non-overlapping changes are applied, overlapping
+ * ones are returned as conflict chunks.
+ * @param {string[]} base
+ * @param {string[]} ours
+ * @param {string[]} theirs
+ * @returns {MergeChunk[]}
+ */
+export function diff3Merge(base, ours, theirs) {
+  const oursMatches = getMatchedIndices(base, ours);
+  const theirsMatches = getMatchedIndices(base, theirs);
+  /** @type {MergeChunk[]} */
+  const chunks = [];
+  let io = 0;
+  let ia = 0;
+  let ib = 0;
+
+  while (io < base.length || ia < ours.length || ib < theirs.length) {
+    let stable = 0;
+    while (
+      io + stable < base.length &&
+      oursMatches[io + stable] === ia + stable &&
+      theirsMatches[io + stable] === ib + stable
+    ) {
+      stable += 1;
+    }
+    if (stable) {
+      pushOkChunk(chunks, base.slice(io, io + stable));
+      io += stable;
+      ia += stable;
+      ib += stable;
+      continue;
+    }
+
+    let next = io;
+    while (
+      next < base.length &&
+      (oursMatches[next] === undefined || theirsMatches[next] === undefined)
+    ) {
+      next += 1;
+    }
+    if (next >= base.length) {
+      pushUnstableChunk(chunks, base.slice(io), ours.slice(ia), theirs.slice(ib));
+      break;
+    }
+    const nextOurs = /** @type {number} */ (oursMatches[next]);
+    const nextTheirs = /** @type {number} */ (theirsMatches[next]);
+    pushUnstableChunk(
+      chunks,
+      base.slice(io, next),
+      ours.slice(ia, nextOurs),
+      theirs.slice(ib, nextTheirs)
+    );
+    io = next;
+    ia = nextOurs;
+    ib = nextTheirs;
+  }
+  return chunks;
+}
+
+/**
+ * @param {MergeChunk[]} chunks
+ * @param {(MergeChoice | null)[]} choices indexed like `chunks`; conflicts without a choice keep markers
+ * @returns {string}
+ */
+export function buildMergeResult(chunks, choices) {
+  /** @type {string[]} */
+  const lines = [];
+  chunks.forEach((chunk, index) => {
+    if (chunk.type === 'ok') {
+      lines.push(...chunk.lines);
+      return;
+    }
+    const choice = choices[index];
+    if (choice === 'ours') {
+      lines.push(...chunk.ours);
+    } else if (choice === 'theirs') {
+      lines.push(...chunk.theirs);
+    } else if (choice === 'both') {
+      lines.push(...chunk.ours, ...chunk.theirs);
+    } else if (choice === 'base') {
+      lines.push(...chunk.base);
+    } else {
+      lines.push('<<<<<<< ours', ...chunk.ours, '=======', ...chunk.theirs, '>>>>>>> theirs');
+    }
+  });
+  return lines.join('\n');
+}
+
+const WORD_TOKEN_PATTERN = new RegExp('\\s+|[\\p{L}\\p{N}_]+|[^\\s\\p{L}\\p{N}_]', 'gu');
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {DiffOp<string>[]}
+ */
+export function diffWords(a, b) {
+  return diffSequences(a.match(WORD_TOKEN_PATTERN) ?? [], b.match(WORD_TOKEN_PATTERN) ?? []);
+}
+
+/**
+ * @typedef {{
+ *   type: 'equal' | 'delete' | 'insert' | 'modify';
+ *   left: string | null;
+ *   right: string | null;
+ *   leftNumber: number | null;
+ *   rightNumber: number | null;
+ * }} SideBySideRow
+ */
+
+/**
+ * Pairs removed and added lines so that replaced lines end up on the same row.
+ * @param {DiffOp<string>[]} ops
+ * @returns {SideBySideRow[]}
+ */
+export function buildSideBySideRows(ops) {
+  /** @type {SideBySideRow[]} */
+  const rows = [];
+  let leftNumber = 1;
+  let rightNumber = 1;
+  for (let index = 0; index < ops.length; index += 1) {
+    const op = ops[index];
+    if (op.type === 'equal') {
+      op.items.forEach((line) => {
+        rows.push({ type: 'equal', left: line, right: line, leftNumber, rightNumber });
+        leftNumber += 1;
+        rightNumber += 1;
+      });
+      continue;
+    }
+    const removed = op.type === 'delete' ? op.items : [];
+    const next = ops[index + 1];
+    let added = op.type === 'insert' ? op.items : [];
+    if (op.type === 'delete' && next && next.type === 'insert') {
+      added = next.items;
+      index += 1;
+    }
+    const count = Math.max(removed.length, added.length);
+    for (let offset = 0; offset < count; offset += 1) {
+      const left = offset < removed.length ? removed[offset] : null;
+      const right = offset < added.length ? added[offset] : null;
+      /** @type {SideBySideRow['type']} */
+      let type = 'modify';
+      if (left === null) type = 'insert';
+      if (right === null) type = 'delete';
+      rows.push({
+        type,
+        left,
+        right,
+        leftNumber: left === null ? null : leftNumber,
+        rightNumber: right === null ? null : rightNumber,
+      });
+      if (left !== null) leftNumber += 1;
+      if (right !== null) rightNumber += 1;
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,172 @@
+'use strict';
+import { bodyEl, getRequiredElement, renderSelectOptions } from './ui.js';
+import { diffLines, diffWords, buildSideBySideRows } from './diff-utils.js';
+
+/**
+ * @typedef {import('./diff-utils.js').SideBySideRow} SideBySideRow
+ */
+
+/** @type {HTMLDivElement} */
+export const diffBarEl = getRequiredElement('diff-bar');
+/** @type {HTMLSelectElement} */
+export const diffFromSelectEl = getRequiredElement('diff-from-select');
+/** @type {HTMLSelectElement} */
+export const diffToSelectEl = getRequiredElement('diff-to-select');
+/** @type {HTMLDivElement} */
+export const diffViewEl = getRequiredElement('diff-view');
+
+const CONTEXT_LINES = 3;
+const WORKING_COPY_LABEL = '現在';
+
+/**
+ * @param {boolean} active
+ */
+export function setDiffMode(active) {
+  bodyEl.classList.toggle('show-diff', active);
+  diffBarEl.hidden = !active;
+  diffViewEl.hidden = !active;
+  if (!active) {
+    diffViewEl.innerHTML = '';
+  }
+}
+
+/**
+ * @param {{oid: string; label: string}[]} entries
+ * @param {string} fromValue
+ * @param {string} toValue
+ */
+export function renderDiffSelectOptions(entries, fromValue, toValue) {
+  const options = entries.map((entry) => ({ value: entry.oid, label: entry.label }));
+  const placeholder = { value: '', label: WORKING_COPY_LABEL };
+  renderSelectOptions(diffFromSelectEl, options, { placeholder, selectedValue: fromValue });
+  renderSelectOptions(diffToSelectEl, options, { placeholder, selectedValue: toValue });
+}
+
+/**
+ * @param {HTMLElement} target
+ * @param {string} left
+ * @param {string} right
+ * @param {'left' | 'right'} side
+ */
+function appendWordDiff(target, left, right, side) {
+  diffWords(left, right).forEach((op) => {
+    if (op.type === 'insert' && side === 'left') return;
+    if (op.type === 'delete' && side === 'right') return;
+    const text = op.items.join('');
+    if (op.type === 'equal') {
+      target.appendChild(document.createTextNode(text));
+      return;
+    }
+    const span = document.createElement(op.type === 'insert' ? 'ins' : 'del');
+    span.textContent = text;
+    target.appendChild(span);
+  });
+}
+
+/**
+ * @param {SideBySideRow} row
+ * @returns {HTMLTableRowElement}
+ */
+function createRow(row) {
+  const tr = document.createElement('tr');
+  tr.className = `diff-row diff-${row.type}`;
+  /** @type {['left' | 'right', number | null, string | null][]} */
+  const sides = [
+    ['left', row.leftNumber, row.left],
+    ['right', row.rightNumber, row.right],
+  ];
+  sides.forEach(([side, number, text]) => {
+    const numberCell = document.createElement('td');
+    numberCell.className = 'diff-line-number';
+    numberCell.textContent = number === null ? '' : String(number);
+    tr.appendChild(numberCell);
+    const textCell = document.createElement('td');
+    textCell.className = `diff-text diff-${side}`;
+    if (text === null) {
+      textCell.classList.add('diff-empty');
+    } else if (row.type === 'modify' && row.left !== null && row.right !== null) {
+      appendWordDiff(textCell, row.left, row.right, side);
+    } else {
+      textCell.textContent = text;
+    }
+    tr.appendChild(textCell);
+  });
+  return tr;
+}
+
+/**
+ * @param {SideBySideRow[]} rows
+ * @returns {boolean[]}
+ */
+function getVisibleRows(rows) {
+  const visible = rows.map(() => false);
+  rows.forEach((row, index) => {
+    if (row.type === 'equal') return;
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(rows.length - 1, index + CONTEXT_LINES);
+    for (let i = start; i <= end; i += 1) {
+      visible[i] = true;
+    }
+  });
+  return visible;
+}
+
+/**
+ * @param {HTMLTableSectionElement} tbody
+ * @param {SideBySideRow[]} hiddenRows
+ * @returns {HTMLTableRowElement}
+ */
+function createCollapsedRow(tbody, hiddenRows) {
+  const tr = document.createElement('tr');
+  tr.className = 'diff-row diff-collapsed';
+  const td = document.createElement('td');
+  td.colSpan = 4;
+  td.textContent = `⋯ ${hiddenRows.length} unchanged lines`;
+  tr.appendChild(td);
+  tr.addEventListener('click', () => {
+    hiddenRows.forEach((row) => {
+      tbody.insertBefore(createRow(row), tr);
+    });
+    tr.remove();
+  });
+  return tr;
+}
+
+/**
+ * @param {string} fromText
+ * @param {string} toText
+ * @param {HTMLElement} [target] defaults to the note diff view
+ */
+export function renderDiff(fromText, toText, target = diffViewEl) {
+  target.innerHTML = '';
+  const rows = buildSideBySideRows(diffLines(fromText, toText));
+  if (rows.every((row) => row.type === 'equal')) {
+    const emptyEl = document.createElement('p');
+    emptyEl.className = 'diff-no-changes';
+    emptyEl.textContent = 'No differences';
+    target.appendChild(emptyEl);
+    return;
+  }
+  const table = document.createElement('table');
+  table.className = 'diff-table';
+  const tbody = document.createElement('tbody');
+  const visible = getVisibleRows(rows);
+  /** @type {SideBySideRow[]} */
+  let hiddenRows = [];
+  rows.forEach((row, index) => {
+    if (!visible[index]) {
+      hiddenRows.push(row);
+      return;
+    }
+    if (hiddenRows.length) {
+      tbody.appendChild(createCollapsedRow(tbody, hiddenRows));
+      hiddenRows = [];
+    }
+    tbody.appendChild(createRow(row));
+  });
+  if (hiddenRows.length) {
+    tbody.appendChild(createCollapsedRow(tbody, hiddenRows));
+  }
+  table.appendChild(tbody);
+  target.appendChild(table);
+}
@@ -0,0 +1,69 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+import { formatUpdatedAt } from './note-utils.js';
+import { renderDiff } from './diff-view.js';
+
+/**
+ * @typedef {'restore' | 'discard'} DraftChoice
+ */
+
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('draft-dialog');
+/** @type {HTMLElement} */
+const messageEl = getRequiredElement('draft-message');
+/** @type {HTMLDivElement} */
+const diffEl = getRequiredElement('draft-diff');
+/** @type {HTMLButtonElement} */
+const restoreBtn = getRequiredElement('draft-restore');
+/** @type {HTMLButtonElement} */
+const discardBtn = getRequiredElement('draft-discard');
+/** @type {HTMLButtonElement} */
+const laterBtn = getRequiredElement('draft-later');
+
+/** @type {((value: DraftChoice | null) => void) | null} */
+let settle = null;
+
+/**
+ * @param {DraftChoice | null} value
+ */
+function finish(value) {
+  const done = settle;
+  settle = null;
+  if (dialogEl.open) {
+    dialogEl.close();
+  }
+  diffEl.innerHTML = '';
+  if (done) {
+    done(value);
+  }
+}
+
+/**
+ * Shows what a draft changes compared to the committed note. Resolves with
+ * `null` when the user decides later, which keeps the draft.
+ * @param {{title: string; savedAt: number; committed: string; draft: string}} options
+ * @returns {Promise<DraftChoice | null>}
+ */
+export function promptDraftRecovery(options) {
+  if (settle) {
+    finish(null);
+  }
+  messageEl.textContent = `"${options.title}" has unsaved edits from ${formatUpdatedAt(options.savedAt)}.`;
+  renderDiff(options.committed, options.draft, diffEl);
+  return new Promise((resolve) => {
+    settle = resolve;
+    dialogEl.showModal();
+    restoreBtn.focus();
+  });
+}
+
+restoreBtn.addEventListener('click', () => finish('restore'));
+discardBtn.addEventListener('click', () => {
+  if (!window.confirm('下書きを破棄します。よろしいですか？')) return;
+  finish('discard');
+});
+laterBtn.addEventListener('click', () => finish(null));
+dialogEl.addEventListener('cancel', (event) => {
+  event.preventDefault();
+  finish(null);
+});
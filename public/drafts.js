@@ -0,0 +1,128 @@
+'use strict';
+import { openDatabase, requestToPromise, transactionDone } from './idb.js';
+
+const DB_NAME = 'notig-drafts';
+const DB_VERSION = 1;
+const DRAFTS_STORE = 'drafts';
+
+/**
+ * @typedef {{id: string; body: string; savedAt: number}} Draft
+ */
+
+/** @type {Promise<IDBDatabase | null> | null} */
+let dbPromise = null;
+let dbName = DB_NAME;
+
+/**
+ * @returns {Promise<IDBDatabase | null>}
+ */
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(dbName, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+        db.createObjectStore(DRAFTS_STORE, { keyPath: 'id' });
+      }
+    }).catch((err) => {
+      console.warn('draft storage unavailable', err);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * @param {string} repositoryId
+ * @returns {string}
+ */
+function getDatabaseName(repositoryId) {
+  return repositoryId === 'default' ? DB_NAME : `${DB_NAME}-${repositoryId}`;
+}
+
+/**
+ * Switches drafts to another repository; each one keeps its own database.
+ * @param {string} repositoryId
+ */
+export function setDraftScope(repositoryId) {
+  const nextName = getDatabaseName(repositoryId);
+  if (nextName === dbName) return;
+  const previous = dbPromise;
+  dbName = nextName;
+  dbPromise = null;
+  if (previous) {
+    previous.then((db) => db?.close());
+  }
+}
+
+/**
+ * @param {string} repositoryId
+ */
+export function deleteDrafts(repositoryId) {
+  if (globalThis.indexedDB) {
+    indexedDB.deleteDatabase(getDatabaseName(repositoryId));
+  }
+}
+
+/**
+ * @param {Draft} draft
+ */
+export async function saveDraft(draft) {
+  const db = await getDatabase();
+  if (!db) return;
+  try {
+    const tx = db.transaction(DRAFTS_STORE, 'readwrite');
+    tx.objectStore(DRAFTS_STORE).put(draft);
+    await transactionDone(tx);
+  } catch (err) {
+    console.warn('failed to save draft', err);
+  }
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Draft | null>}
+ */
+export async function getDraft(id) {
+  const db = await getDatabase();
+  if (!db) return null;
+  try {
+    const tx = db.transaction(DRAFTS_STORE, 'readonly');
+    /** @type {Draft | undefined} */
+    const draft = await requestToPromise(tx.objectStore(DRAFTS_STORE).get(id));
+    return draft ?? null;
+  } catch (err) {
+    console.warn('failed to read draft', err);
+    return null;
+  }
+}
+
+/**
+ * @returns {Promise<Draft[]>}
+ */
+export async function listDrafts() {
+  const db = await getDatabase();
+  if (!db) return [];
+  try {
+    const tx = db.transaction(DRAFTS_STORE, 'readonly');
+    /** @type {Draft[]} */
+    const drafts = await requestToPromise(tx.objectStore(DRAFTS_STORE).getAll());
+    return drafts;
+  } catch (err) {
+    console.warn('failed to list drafts', err);
+    return [];
+  }
+}
+
+/**
+ * @param {string} id
+ */
+export async function deleteDraft(id) {
+  const db = await getDatabase();
+  if (!db) return;
+  try {
+    const tx = db.transaction(DRAFTS_STORE, 'readwrite');
+    tx.objectStore(DRAFTS_STORE).delete(id);
+    await transactionDone(tx);
+  } catch (err) {
+    console.warn('failed to delete draft', err);
+  }
+}
@@ -0,0 +1,206 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+import { getFolderAncestors } from './folders.js';
+
+/**
+ * @typedef {import('./folders.js').FolderTreeNode} FolderTreeNode
+ */
+
+/** @type {HTMLUListElement} */
+const treeEl = getRequiredElement('folder-tree');
+/** @type {HTMLButtonElement} */
+export const newFolderBtn = getRequiredElement('new-folder');
+/** @type {HTMLButtonElement} */
+export const renameFolderBtn = getRequiredElement('rename-folder');
+/** @type {HTMLButtonElement} */
+export const moveNoteBtn = getRequiredElement('move-note');
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('folder-dialog');
+/** @type {HTMLFormElement} */
+const formEl = getRequiredElement('folder-form');
+/** @type {HTMLElement} */
+const titleEl = getRequiredElement('folder-dialog-title');
+/** @type {HTMLInputElement} */
+const pathInputEl = getRequiredElement('folder-path');
+/** @type {HTMLDataListElement} */
+const optionsEl = getRequiredElement('folder-options');
+/** @type {HTMLButtonElement} */
+const cancelBtn = getRequiredElement('folder-cancel');
+
+/** @type {((path: string) => void) | null} */
+let onSelect = null;
+let selectedPath = '';
+let totalCount = 0;
+/** @type {FolderTreeNode[]} */
+let currentNodes = [];
+/** @type {Set<string>} */
+const expandedPaths = new Set();
+/** @type {((value: string | null) => void) | null} */
+let settle = null;
+
+/**
+ * @param {string} name
+ * @param {string} path
+ * @param {number} count
+ * @returns {HTMLButtonElement}
+ */
+function createSelectButton(name, path, count) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'folder-select';
+  button.classList.toggle('is-selected', path === selectedPath);
+  const nameEl = document.createElement('span');
+  nameEl.textContent = name;
+  const countEl = document.createElement('span');
+  countEl.className = 'folder-count';
+  countEl.textContent = String(count);
+  button.append(nameEl, countEl);
+  button.addEventListener('click', () => {
+    if (onSelect) {
+      onSelect(path);
+    }
+  });
+  return button;
+}
+
+/**
+ * @param {FolderTreeNode} node
+ * @returns {HTMLLIElement}
+ */
+function renderNode(node) {
+  const li = document.createElement('li');
+  li.setAttribute('role', 'treeitem');
+  const row = document.createElement('div');
+  row.className = 'folder-node';
+
+  const hasChildren = node.children.length > 0;
+  const isExpanded = hasChildren && expandedPaths.has(node.path);
+  const expander = document.createElement('button');
+  expander.type = 'button';
+  expander.className = 'folder-expander';
+  if (hasChildren) {
+    expander.textContent = isExpanded ? '▾' : '▸';
+    expander.setAttribute('aria-label', `${isExpanded ? 'Collapse' : 'Expand'} ${node.path}`);
+    li.setAttribute('aria-expanded', String(isExpanded));
+    expander.addEventListener('click', () => {
+      if (expandedPaths.has(node.path)) {
+        expandedPaths.delete(node.path);
+      } else {
+        expandedPaths.add(node.path);
+      }
+      renderTree();
+    });
+  } else {
+    expander.disabled = true;
+    expander.tabIndex = -1;
+  }
+
+  row.append(expander, createSelectButton(node.name, node.path, node.count));
+  li.appendChild(row);
+  if (isExpanded) {
+    const childList = document.createElement('ul');
+    childList.setAttribute('role', 'group');
+    node.children.forEach((child) => {
+      childList.appendChild(renderNode(child));
+    });
+    li.appendChild(childList);
+  }
+  return li;
+}
+
+function renderTree() {
+  treeEl.innerHTML = '';
+  const rootItem = document.createElement('li');
+  rootItem.setAttribute('role', 'treeitem');
+  const row = document.createElement('div');
+  row.className = 'folder-node';
+  // Keeps "All notes" aligned with the folders below it.
+  const spacer = document.createElement('button');
+  spacer.type = 'button';
+  spacer.className = 'folder-expander';
+  spacer.disabled = true;
+  spacer.tabIndex = -1;
+  row.append(spacer, createSelectButton('All notes', '', totalCount));
+  rootItem.appendChild(row);
+  treeEl.appendChild(rootItem);
+  currentNodes.forEach((node) => {
+    treeEl.appendChild(renderNode(node));
+  });
+  renameFolderBtn.disabled = !selectedPath;
+}
+
+/**
+ * @param {{onSelect: (path: string) => void}} handlers
+ */
+export function setFolderTreeHandlers(handlers) {
+  onSelect = handlers.onSelect;
+}
+
+/**
+ * Renders the folders below an "All notes" entry, expanding the ancestors of
+ * a newly selected folder.
+ * @param {FolderTreeNode[]} nodes
+ * @param {string} selected
+ * @param {number} total
+ */
+export function renderFolderTree(nodes, selected, total) {
+  if (selected !== selectedPath) {
+    getFolderAncestors(selected)
+      .slice(0, -1)
+      .forEach((path) => expandedPaths.add(path));
+  }
+  currentNodes = nodes;
+  selectedPath = selected;
+  totalCount = total;
+  renderTree();
+}
+
+/**
+ * @param {string | null} value
+ */
+function finish(value) {
+  const done = settle;
+  settle = null;
+  if (dialogEl.open) {
+    dialogEl.close();
+  }
+  if (done) {
+    done(value);
+  }
+}
+
+/**
+ * Asks for a folder path, suggesting the existing folders. Resolves with the
+ * raw input (`''` for the top level) or `null` when dismissed.
+ * @param {{title: string; value: string; folders: string[]}} options
+ * @returns {Promise<string | null>}
+ */
+export function promptFolderPath(options) {
+  if (settle) {
+    finish(null);
+  }
+  titleEl.textContent = options.title;
+  pathInputEl.value = options.value;
+  optionsEl.innerHTML = '';
+  options.folders.forEach((folder) => {
+    const option = document.createElement('option');
+    option.value = folder;
+    optionsEl.appendChild(option);
+  });
+  return new Promise((resolve) => {
+    settle = resolve;
+    dialogEl.showModal();
+    pathInputEl.select();
+  });
+}
+
+formEl.addEventListener('submit', (event) => {
+  event.preventDefault();
+  finish(pathInputEl.value);
+});
+
+cancelBtn.addEventListener('click', () => finish(null));
+dialogEl.addEventListener('cancel', (event) => {
+  event.preventDefault();
+  finish(null);
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+/** Placeholder that keeps an otherwise empty folder in git. */
+export const FOLDER_KEEP_FILE = '.keep';
+
+/**
+ * @typedef {{name: string; path: string; count: number; children: FolderTreeNode[]}} FolderTreeNode
+ */
+
+/**
+ * Note ids are paths below `notes/`, so the folder is everything before the
+ * last slash.
+ * @param {string} id
+ * @returns {string} folder path, `''` at the top level
+ */
+export function getNoteFolder(id) {
+  const index = id.lastIndexOf('/');
+  return index === -1 ? '' : id.slice(0, index);
+}
+
+/**
+ * @param {string} id
+ * @returns {string}
+ */
+export function getNoteBaseName(id) {
+  return id.slice(id.lastIndexOf('/') + 1);
+}
+
+/**
+ * @param {string} folder
+ * @param {string} name
+ * @returns {string}
+ */
+export function joinFolderPath(folder, name) {
+  return folder ? `${folder}/${name}` : name;
+}
+
+/**
+ * Cleans up a typed folder path: trims every segment and drops empty ones.
+ * @param {string} value
+ * @returns {string | null} `null` for dot-segments, which would hide the
+ *   folder or escape `notes/`
+ */
+export function normalizeFolderPath(value) {
+  const segments = value
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  if (segments.some((segment) => segment.startsWith('.'))) return null;
+  return segments.join('/');
+}
+
+/**
+ * @param {string} path note id or folder path
+ * @param {string} folder
+ * @returns {boolean} whether `path` lies below `folder` (everything lies below `''`)
+ */
+export function isInFolder(path, folder) {
+  return !folder || path.startsWith(`${folder}/`);
+}
+
+/**
+ * Maps a path below `from` to the same place below `to`; other paths are
+ * returned as-is.
+ * @param {string} path
+ * @param {string} from
+ * @param {string} to
+ * @returns {string}
+ */
+export function renameFolderPath(path, from, to) {
+  if (path === from) return to;
+  if (!isInFolder(path, from)) return path;
+  return joinFolderPath(to, path.slice(from.length + 1));
+}
+
+/**
+ * @param {string} path
+ * @returns {string[]} the folder and its ancestors, outermost first
+ */
+export function getFolderAncestors(path) {
+  const segments = path ? path.split('/') : [];
+  return segments.map((_, index) => segments.slice(0, index + 1).join('/'));
+}
+
+/**
+ * Builds the sidebar tree from the folders of every note plus the folders
+ * kept by `.keep` files. Counts include notes in subfolders.
+ * @param {string[]} noteIds
+ * @param {string[]} keptFolders
+ * @returns {FolderTreeNode[]}
+ */
+export function buildFolderTree(noteIds, keptFolders) {
+  /** @type {FolderTreeNode} */
+  const root = { name: '', path: '', count: 0, children: [] };
+  /** @type {Map<string, FolderTreeNode>} */
+  const nodes = new Map([['', root]]);
+
+  /**
+   * @param {string} path
+   * @returns {FolderTreeNode}
+   */
+  const ensureNode = (path) => {
+    const existing = nodes.get(path);
+    if (existing) return existing;
+    const node = { name: getNoteBaseName(path), path, count: 0, children: [] };
+    ensureNode(getNoteFolder(path)).children.push(node);
+    nodes.set(path, node);
+    return node;
+  };
+
+  keptFolders.forEach((folder) => {
+    ensureNode(folder);
+  });
+  noteIds.forEach((id) => {
+    getFolderAncestors(getNoteFolder(id)).forEach((folder) => {
+      ensureNode(folder).count += 1;
+    });
+  });
+
+  /**
+   * @param {FolderTreeNode[]} children
+   */
+  const sortNodes = (children) => {
+    children.sort((a, b) => a.name.localeCompare(b.name));
+    children.forEach((child) => sortNodes(child.children));
+  };
+  sortNodes(root.children);
+  return root.children;
+}
@@ -0,0 +1,212 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+import {
+  parseNoteBody,
+  getNoteTags,
+  getNoteUpdatedAt,
+  getNoteCreatedAt,
+  padNumber,
+} from './note-utils.js';
+
+/**
+ * @typedef {import('./note-utils.js').NoteFields} NoteFields
+ * @typedef {{
+ *   onChange: (fields: NoteFields) => void;
+ *   onBlur: () => void;
+ * }} FrontMatterHandlers
+ */
+
+const TITLE_INPUT_DELAY_MS = 300;
+
+/** @type {HTMLFormElement} */
+const formEl = getRequiredElement('front-matter-form');
+/** @type {HTMLFieldSetElement} */
+const fieldsetEl = getRequiredElement('front-matter-fields');
+/** @type {HTMLInputElement} */
+export const titleInputEl = getRequiredElement('fm-title');
+/** @type {HTMLUListElement} */
+const tagListEl = getRequiredElement('fm-tag-list');
+/** @type {HTMLInputElement} */
+const tagInputEl = getRequiredElement('fm-tag-input');
+/** @type {HTMLDataListElement} */
+const tagOptionsEl = getRequiredElement('fm-tag-options');
+/** @type {HTMLInputElement} */
+const createdInputEl = getRequiredElement('fm-created');
+/** @type {HTMLInputElement} */
+const modifiedInputEl = getRequiredElement('fm-modified');
+
+/** @type {FrontMatterHandlers | null} */
+let handlers = null;
+/** @type {string[]} */
+let currentTags = [];
+/** @type {ReturnType<typeof setTimeout> | null} */
+let titleTimer = null;
+
+/**
+ * @param {number | undefined} timestamp
+ * @returns {string} value for `<input type="datetime-local">`
+ */
+function toInputValue(timestamp) {
+  if (typeof timestamp !== 'number') return '';
+  const date = new Date(timestamp);
+  return (
+    `${date.getFullYear()}-${padNumber(date.getMonth() + 1)}-${padNumber(date.getDate())}` +
+    `T${padNumber(date.getHours())}:${padNumber(date.getMinutes())}`
+  );
+}
+
+/**
+ * @param {string} value
+ * @returns {number | null}
+ */
+function fromInputValue(value) {
+  if (!value) return null;
+  const timestamp = new Date(value).getTime();
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * @param {NoteFields} fields
+ */
+function emitChange(fields) {
+  if (handlers) {
+    handlers.onChange(fields);
+  }
+}
+
+function flushTitle() {
+  if (!titleTimer) return;
+  clearTimeout(titleTimer);
+  titleTimer = null;
+  emitChange({ title: titleInputEl.value });
+}
+
+function renderTags() {
+  tagListEl.innerHTML = '';
+  currentTags.forEach((tag) => {
+    const li = document.createElement('li');
+    li.className = 'tag-chip';
+    const labelEl = document.createElement('span');
+    labelEl.textContent = tag;
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', `Remove tag ${tag}`);
+    removeBtn.addEventListener('click', () => {
+      setTags(currentTags.filter((entry) => entry !== tag));
+    });
+    li.append(labelEl, removeBtn);
+    tagListEl.appendChild(li);
+  });
+}
+
+/**
+ * @param {string[]} tags
+ */
+function setTags(tags) {
+  currentTags = tags;
+  renderTags();
+  emitChange({ tags: currentTags });
+}
+
+/**
+ * @param {string} value
+ */
+function addTags(value) {
+  const added = value
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter((tag) => tag && !currentTags.includes(tag));
+  tagInputEl.value = '';
+  if (added.length) {
+    setTags([...currentTags, ...added]);
+  }
+}
+
+/**
+ * @param {HTMLInputElement} inputEl
+ * @param {string} value
+ */
+function setInputValue(inputEl, value) {
+  // Leave the field being typed in alone; the markdown already has its value.
+  if (document.activeElement === inputEl) return;
+  inputEl.value = value;
+}
+
+/**
+ * @param {FrontMatterHandlers} nextHandlers
+ */
+export function setFrontMatterHandlers(nextHandlers) {
+  handlers = nextHandlers;
+}
+
+/**
+ * Mirrors the note's front matter into the form.
+ * @param {string} body
+ * @param {{tagOptions?: string[]; readOnly?: boolean}} [options]
+ */
+export function renderFrontMatterForm(body, options = {}) {
+  const parsed = parseNoteBody(body);
+  const title = parsed.frontMatter.title ?? parsed.frontMatter.Title;
+  setInputValue(titleInputEl, typeof title === 'string' || typeof title === 'number' ? String(title) : '');
+  setInputValue(createdInputEl, toInputValue(getNoteCreatedAt(parsed)));
+  setInputValue(modifiedInputEl, toInputValue(getNoteUpdatedAt(parsed)));
+  currentTags = getNoteTags(parsed);
+  renderTags();
+  if (options.tagOptions) {
+    tagOptionsEl.innerHTML = '';
+    options.tagOptions.forEach((tag) => {
+      const option = document.createElement('option');
+      option.value = tag;
+      tagOptionsEl.appendChild(option);
+    });
+  }
+  fieldsetEl.disabled = Boolean(options.readOnly);
+}
+
+titleInputEl.addEventListener('input', () => {
+  if (titleTimer) {
+    clearTimeout(titleTimer);
+  }
+  titleTimer = setTimeout(flushTitle, TITLE_INPUT_DELAY_MS);
+});
+
+tagInputEl.addEventListener('keydown', (event) => {
+  if (event.isComposing) return;
+  if (event.key === 'Enter' || event.key === ',') {
+    event.preventDefault();
+    addTags(tagInputEl.value);
+    return;
+  }
+  if (event.key === 'Backspace' && !tagInputEl.value && currentTags.length) {
+    setTags(currentTags.slice(0, -1));
+  }
+});
+
+tagInputEl.addEventListener('change', () => {
+  // Picking a datalist suggestion fires `change` without a key press.
+  if (tagInputEl.value.trim()) {
+    addTags(tagInputEl.value);
+  }
+});
+
+createdInputEl.addEventListener('change', () => {
+  emitChange({ created: fromInputValue(createdInputEl.value) });
+});
+
+modifiedInputEl.addEventListener('change', () => {
+  emitChange({ modified: fromInputValue(modifiedInputEl.value) });
+});
+
+formEl.addEventListener('submit', (event) => {
+  event.preventDefault();
+  flushTitle();
+});
+
+formEl.addEventListener('focusout', (event) => {
+  if (event.relatedTarget instanceof Node && formEl.contains(event.relatedTarget)) return;
+  flushTitle();
+  if (handlers) {
+    handlers.onBlur();
+  }
+});
@@ -1,40 +1,102 @@
 'use strict';
-import LightningFS from 'https://esm.sh/@isomorphic-git/lightning-fs';
-import * as git from 'https://esm.sh/isomorphic-git';
-import http from 'https://esm.sh/isomorphic-git/http/web';
+import LightningFS from 'https://esm.sh/@isomorphic-git/lightning-fs@4.6.0';
+import * as git from 'https://esm.sh/isomorphic-git@1.43.0';
+import http from 'https://esm.sh/isomorphic-git@1.43.0/http/web';
 import { Buffer } from 'https://esm.sh/buffer@6.0.3';
+import { ATTACHMENTS_DIR, MAX_POINTER_SIZE, parseAttachmentPointer } from './attachments.js';
 
 if (!globalThis.Buffer) {
   globalThis.Buffer = Buffer;
 }
 
-const fs = new LightningFS('notig-fs');
-const pfs = fs.promises;
+/**
+ * @typedef {{id: string; name: string; url: string; fsName: string; branch: string}} Repository
+ */
+
+/** @type {Repository} */
+const DEFAULT_REPOSITORY = {
+  id: 'default',
+  name: 'notig',
+  url: `${window.location.origin}/git/notig.git`,
+  fsName: 'notig-fs',
+  branch: 'main',
+};
+
+let fs = new LightningFS(DEFAULT_REPOSITORY.fsName);
+let pfs = fs.promises;
 
 const dir = '/notig';
 const notesDir = `${dir}/notes`;
-const url = `${window.location.origin}/git/notig.git`;
+let url = DEFAULT_REPOSITORY.url;
+let branch = DEFAULT_REPOSITORY.branch;
 const FETCH_REFSPEC = '+refs/heads/*:refs/remotes/origin/*';
+// Attachments above this size are committed as pointers to the blob store.
+const DEFAULT_POINTER_THRESHOLD = 1024 * 1024;
 
 const author = {
   name: 'notig user',
   email: 'user@example.com',
 };
 
+/**
+ * @typedef {{username?: string; password?: string; cancel?: boolean}} GitAuth
+ * @typedef {{
+ *   onAuth?: (url: string, auth: GitAuth) => GitAuth | void | Promise<GitAuth | void>;
+ *   onAuthFailure?: (url: string, auth: GitAuth) => GitAuth | void | Promise<GitAuth | void>;
+ *   onAuthSuccess?: (url: string, auth: GitAuth) => void | Promise<void>;
+ * }} AuthHandlers
+ */
+
+/** @type {AuthHandlers} */
+let authHandlers = {};
+
+/**
+ * Installs the credential callbacks used by every call that talks to the remote.
+ * @param {AuthHandlers} handlers
+ */
+export function setAuthHandlers(handlers) {
+  authHandlers = { ...handlers };
+}
+
+/**
+ * Points every wrapper at another repository. Each repository keeps its own
+ * LightningFS namespace, so switching does not touch the other working trees.
+ * @param {Repository} repository
+ */
+export function setActiveRepository(repository) {
+  fs = new LightningFS(repository.fsName);
+  pfs = fs.promises;
+  url = repository.url;
+  branch = repository.branch;
+}
+
+export function getBranch() {
+  return branch;
+}
+
+export function getLocalRef() {
+  return `refs/heads/${branch}`;
+}
+
+export function getRemoteRef() {
+  return `refs/remotes/origin/${branch}`;
+}
+
 export function clone(options = {}) {
   const defaults = {
     fs,
     http,
     dir,
     url,
-    ref: 'main',
+    ref: branch,
     singleBranch: true,
+    ...authHandlers,
   };
   return git.clone({ ...defaults, ...options });
 }
 
 export function init(options = {}) {
-  const defaults = { fs, dir, defaultBranch: 'main' };
+  const defaults = { fs, dir, defaultBranch: branch };
   return git.init({ ...defaults, ...options });
 }
 
@@ -48,8 +110,8 @@ export function add(options = {}) {
   return git.add({ ...defaults, ...options });
 }
 
-export function commit(options = {}) {
-  const defaults = { fs, dir, author, message: 'update' };
+export async function commit(options = {}) {
+  const defaults = { fs, dir, author: await getAuthor(), message: 'update' };
   return git.commit({ ...defaults, ...options });
 }
 
@@ -59,7 +121,15 @@ export function remove(options = {}) {
 }
 
 export function push(options = {}) {
-  const defaults = { fs, dir, http, url, remote: 'origin', ref: 'main' };
+  const defaults = {
+    fs,
+    dir,
+    http,
+    url,
+    remote: 'origin',
+    ref: branch,
+    ...authHandlers,
+  };
   return git.push({ ...defaults, ...options });
 }
 
@@ -70,8 +140,9 @@ export function pull(options = {}) {
     http,
     url,
     remote: 'origin',
-    ref: 'main',
+    ref: branch,
     abortOnConflict: false,
+    ...authHandlers,
   };
   return git.pull({ ...defaults, ...options });
 }
@@ -82,8 +153,9 @@ export function fetch(options = {}) {
     dir,
     http,
     remote: 'origin',
-    ref: 'main',
+    ref: branch,
     singleBranch: true,
+    ...authHandlers,
   };
   return git.fetch({ ...defaults, ...options });
 }
@@ -92,8 +164,8 @@ export function merge(options = {}) {
   const defaults = {
     fs,
     dir,
-    ours: 'main',
-    theirs: 'origin/main',
+    ours: branch,
+    theirs: `origin/${branch}`,
     abortOnConflict: false,
   };
   return git.merge({ ...defaults, ...options });
@@ -125,16 +197,22 @@ export function setConfig(options = {}) {
   return git.setConfig({ ...defaults, ...options });
 }
 
-export async function isUpToDateWithRemote() {
-  try {
-    await fetch();
-  } catch (err) {
-    console.error(err);
-    return false;
+/**
+ * @param {{skipFetch?: boolean}} [options] `skipFetch` compares against the last fetched refs
+ * @returns {Promise<boolean>}
+ */
+export async function isUpToDateWithRemote(options = {}) {
+  if (!options.skipFetch) {
+    try {
+      await fetch();
+    } catch (err) {
+      console.error(err);
+      return false;
+    }
   }
 
-  const localRef = 'refs/heads/main';
-  const remoteRef = 'refs/remotes/origin/main';
+  const localRef = getLocalRef();
+  const remoteRef = getRemoteRef();
   const [localOid, remoteOid] = await Promise.all([
     git.resolveRef({ fs, dir, ref: localRef }).catch(() => null),
     git.resolveRef({ fs, dir, ref: remoteRef }).catch(() => null),
@@ -172,29 +250,270 @@ export async function getHistoryContent(oid, filepath) {
 }
 
 /**
+ * @typedef {Awaited<ReturnType<typeof log>>[number] & {filepath: string}} FileChange
+ */
+
+/**
+ * @param {string} oid commit
+ * @param {string} blobOid
+ * @param {string} root repository-relative directory to search
+ * @returns {Promise<string[]>} the paths below `root` holding exactly that blob
+ */
+async function findPathsWithBlob(oid, blobOid, root) {
+  /** @type {Map<string, string>} */
+  const files = new Map();
+  try {
+    const { oid: treeOid } = await git.readTree({ fs, dir, oid, filepath: root });
+    await collectTreeFiles(treeOid, root, files);
+  } catch (err) {
+    if (getErrorCode(err) !== 'NotFoundError') throw err;
+  }
+  return Array.from(files)
+    .filter(([, fileOid]) => fileOid === blobOid)
+    .map(([path]) => path);
+}
+
+/**
+ * Commits that changed a file, newest first. Moves (the same blob under a new
+ * path) are followed instead of listed, and every entry carries the path the
+ * file had in that commit so older snapshots can still be read.
  * @param {string} filepath
  * @param {number} [depth]
- * @returns {Promise<Awaited<ReturnType<typeof log>>>}
+ * @returns {Promise<FileChange[]>}
  */
 export async function logFileChanges(filepath, depth) {
   const commits = await log(
-    typeof depth === 'number' ? { filepath, depth } : { filepath }
+    typeof depth === 'number'
+      ? { filepath, depth, follow: true }
+      : { filepath, follow: true }
   );
-  /** @type {Awaited<ReturnType<typeof log>>} */
+  const root = filepath.includes('/') ? filepath.slice(0, filepath.indexOf('/')) : '';
+  let currentPath = filepath;
+  /** @type {FileChange[]} */
   const filtered = [];
   for (const entry of commits) {
     const parentOid = entry.commit?.parent?.[0] ?? null;
-    const currentBlob = await getBlobOidAtCommit(entry.oid, filepath);
-    const parentBlob = parentOid
-      ? await getBlobOidAtCommit(parentOid, filepath)
+    const currentBlob = await getBlobOidAtCommit(entry.oid, currentPath);
+    let parentBlob = parentOid
+      ? await getBlobOidAtCommit(parentOid, currentPath)
       : null;
+    if (root && parentOid && currentBlob && !parentBlob) {
+      // Only a path the commit removed is the old location; a copy that
+      // survives is another file that happens to have the same content.
+      let previousPath = null;
+      for (const path of await findPathsWithBlob(parentOid, currentBlob, root)) {
+        if (!(await getBlobOidAtCommit(entry.oid, path))) {
+          previousPath = path;
+          break;
+        }
+      }
+      if (previousPath) {
+        currentPath = previousPath;
+        parentBlob = currentBlob;
+      }
+    }
     if (currentBlob !== parentBlob) {
-      filtered.push(entry);
+      filtered.push({ ...entry, filepath: currentPath });
     }
   }
   return filtered;
 }
 
+/**
+ * Moves a file in the working tree and the index. The blob is unchanged, so
+ * the commit records a rename that `logFileChanges` follows.
+ * @param {string} from repository path
+ * @param {string} to repository path
+ */
+export async function moveFile(from, to) {
+  const content = await pfs.readFile(`${dir}/${from}`);
+  await makeParentDirectories(to);
+  await pfs.writeFile(`${dir}/${to}`, content);
+  await pfs.unlink(`${dir}/${from}`);
+  await remove({ filepath: from });
+  await add({ filepath: to });
+}
+
+/**
+ * Creates the missing directories above a repository path; LightningFS has
+ * no recursive mkdir.
+ * @param {string} filepath
+ */
+export async function makeParentDirectories(filepath) {
+  const segments = filepath.split('/').slice(0, -1);
+  let current = dir;
+  for (const segment of segments) {
+    current = `${current}/${segment}`;
+    try {
+      await pfs.mkdir(current);
+    } catch (err) {
+      if (getErrorCode(err) !== 'EEXIST') throw err;
+    }
+  }
+}
+
+/**
+ * Deletes the empty directories along a repository path, deepest first, as
+ * git itself does not track directories.
+ * @param {string} dirpath
+ */
+export async function removeEmptyDirectories(dirpath) {
+  const segments = dirpath.split('/');
+  for (let i = segments.length; i > 0; i -= 1) {
+    try {
+      await pfs.rmdir(`${dir}/${segments.slice(0, i).join('/')}`);
+    } catch (err) {
+      return;
+    }
+  }
+}
+
+/**
+ * @param {string} treeOid
+ * @param {string} prefix
+ * @param {Map<string, string>} files
+ */
+async function collectTreeFiles(treeOid, prefix, files) {
+  const { tree } = await git.readTree({ fs, dir, oid: treeOid });
+  for (const entry of tree) {
+    const path = `${prefix}/${entry.path}`;
+    if (entry.type === 'tree') {
+      await collectTreeFiles(entry.oid, path, files);
+    } else if (entry.type === 'blob') {
+      files.set(path, entry.oid);
+    }
+  }
+}
+
+/**
+ * @param {string} root repository-relative directory
+ * @returns {(oid: string) => Promise<Map<string, string>>} cached lookup of
+ *   the files below `root` (path → blob oid) in a commit
+ */
+function createTreeFileReader(root) {
+  /** @type {Map<string, Map<string, string>>} */
+  const filesByCommit = new Map();
+  return async (oid) => {
+    const cached = filesByCommit.get(oid);
+    if (cached) return cached;
+    /** @type {Map<string, string>} */
+    const files = new Map();
+    try {
+      const { oid: treeOid } = await git.readTree({ fs, dir, oid, filepath: root });
+      await collectTreeFiles(treeOid, root, files);
+    } catch (err) {
+      if (getErrorCode(err) !== 'NotFoundError') throw err;
+    }
+    filesByCommit.set(oid, files);
+    return files;
+  };
+}
+
+/**
+ * @param {Map<string, string>} files path → blob oid in a commit
+ * @param {Map<string, string>} parentFiles the same for its parent
+ * @returns {Set<string>} blobs at paths the commit added; a removed file
+ *   whose blob is among them was moved, not deleted
+ */
+function getAddedBlobs(files, parentFiles) {
+  /** @type {Set<string>} */
+  const added = new Set();
+  files.forEach((blobOid, path) => {
+    if (!parentFiles.has(path)) {
+      added.add(blobOid);
+    }
+  });
+  return added;
+}
+
+/**
+ * Walks the branch history once and returns, for every file below `root`,
+ * the author time (ms) of the first and the last commit that changed it.
+ * Much cheaper than running `logFileChanges` per file.
+ * @param {string} root repository-relative directory, e.g. `notes`
+ * @returns {Promise<Map<string, {created: number; modified: number}>>}
+ */
+export async function collectFileTimestamps(root) {
+  /** @type {Map<string, {created: number; modified: number}>} */
+  const timestamps = new Map();
+  let commits;
+  try {
+    commits = await log({ ref: getLocalRef() });
+  } catch (err) {
+    if (getErrorCode(err) === 'NotFoundError') return timestamps;
+    throw err;
+  }
+  const readFiles = createTreeFileReader(root);
+
+  for (const entry of commits) {
+    const timestamp = (entry.commit?.author?.timestamp ?? 0) * 1000;
+    const files = await readFiles(entry.oid);
+    // A merge only changed a file that differs from every parent; otherwise
+    // it just brought in a change already stamped on the other side.
+    const parentFiles = await Promise.all(
+      (entry.commit?.parent ?? []).map((parentOid) => readFiles(parentOid))
+    );
+    files.forEach((blobOid, path) => {
+      if (parentFiles.some((parent) => parent.get(path) === blobOid)) return;
+      const known = timestamps.get(path);
+      if (!known) {
+        timestamps.set(path, { created: timestamp, modified: timestamp });
+        return;
+      }
+      known.created = Math.min(known.created, timestamp);
+      known.modified = Math.max(known.modified, timestamp);
+    });
+  }
+  return timestamps;
+}
+
+/**
+ * @typedef {{filepath: string; commitOid: string; parentOid: string; deletedAt: number}} DeletedFile
+ */
+
+/**
+ * Walks the branch history for files below `root` that a commit removed and
+ * that are still gone, newest deletion first. A file whose blob reappears at
+ * a path the same commit added was moved, not deleted.
+ * @param {string} root repository-relative directory, e.g. `notes`
+ * @param {{since?: Date}} [options] `since` skips commits older than that
+ * @returns {Promise<DeletedFile[]>}
+ */
+export async function listDeletedFiles(root, options = {}) {
+  let commits;
+  try {
+    commits = await log(
+      options.since ? { ref: getLocalRef(), since: options.since } : { ref: getLocalRef() }
+    );
+  } catch (err) {
+    if (getErrorCode(err) === 'NotFoundError') return [];
+    throw err;
+  }
+  if (!commits.length) return [];
+  const readFiles = createTreeFileReader(root);
+  const headFiles = await readFiles(commits[0].oid);
+  /** @type {Map<string, DeletedFile>} */
+  const deleted = new Map();
+  for (const entry of commits) {
+    const parentOid = entry.commit?.parent?.[0] ?? null;
+    if (!parentOid) continue;
+    const files = await readFiles(entry.oid);
+    const parentFiles = await readFiles(parentOid);
+    const added = getAddedBlobs(files, parentFiles);
+    parentFiles.forEach((blobOid, path) => {
+      if (files.has(path) || headFiles.has(path) || deleted.has(path)) return;
+      if (added.has(blobOid)) return;
+      deleted.set(path, {
+        filepath: path,
+        commitOid: entry.oid,
+        parentOid,
+        deletedAt: (entry.commit?.author?.timestamp ?? 0) * 1000,
+      });
+    });
+  }
+  return Array.from(deleted.values());
+}
+
 const STATUS_MATRIX_LABELS = {
   head: {
     0: 'absent',
@@ -273,6 +592,99 @@ async function safeGetConfig(path) {
   }
 }
 
+/**
+ * Whether the one-time `created`/`modified` backfill already ran for this repository.
+ * @returns {Promise<boolean>}
+ */
+export async function hasBackfilledTimestamps() {
+  return (await safeGetConfig('notig.timestampsBackfilled')) === 'true';
+}
+
+export function markTimestampsBackfilled() {
+  return setConfig({ path: 'notig.timestampsBackfilled', value: 'true' });
+}
+
+/**
+ * The configured identity, falling back to the shared default for repositories
+ * that predate the settings panel.
+ * @returns {Promise<{name: string; email: string}>}
+ */
+export async function getAuthor() {
+  const [name, email] = await Promise.all([
+    safeGetConfig('user.name'),
+    safeGetConfig('user.email'),
+  ]);
+  return { name: name || author.name, email: email || author.email };
+}
+
+/**
+ * @typedef {{
+ *   name: string;
+ *   email: string;
+ *   remoteUrl: string;
+ *   autoSync: boolean;
+ *   timestampFormat: import('./note-utils.js').TimestampFormat;
+ *   attachmentStorage: import('./attachments.js').AttachmentStorage;
+ *   attachmentPointerThreshold: number;
+ *   trashRetentionDays: number;
+ * }} UserSettings
+ */
+
+/**
+ * @returns {Promise<UserSettings>}
+ */
+export async function getUserSettings() {
+  const [
+    identity,
+    remoteUrl,
+    autoSync,
+    timestampFormat,
+    attachmentStorage,
+    pointerThreshold,
+    trashRetention,
+  ] = await Promise.all([
+    getAuthor(),
+    safeGetConfig('remote.origin.url'),
+    safeGetConfig('notig.autoSync'),
+    safeGetConfig('notig.timestampFormat'),
+    safeGetConfig('notig.attachmentStorage'),
+    safeGetConfig('notig.attachmentPointerThreshold'),
+    safeGetConfig('notig.trashRetentionDays'),
+  ]);
+  const threshold = Number(pointerThreshold);
+  const retentionDays = Number(trashRetention);
+  return {
+    ...identity,
+    remoteUrl: remoteUrl ?? url,
+    autoSync: autoSync === 'true',
+    timestampFormat: timestampFormat === 'epoch' ? 'epoch' : 'iso',
+    attachmentStorage: attachmentStorage === 'repo' ? 'repo' : 'blobs',
+    attachmentPointerThreshold:
+      pointerThreshold && threshold >= 0 ? threshold : DEFAULT_POINTER_THRESHOLD,
+    trashRetentionDays: retentionDays > 0 ? Math.floor(retentionDays) : 0,
+  };
+}
+
+/**
+ * @param {UserSettings} settings
+ */
+export async function setUserSettings(settings) {
+  await setConfig({ path: 'user.name', value: settings.name });
+  await setConfig({ path: 'user.email', value: settings.email });
+  await setConfig({ path: 'notig.autoSync', value: String(settings.autoSync) });
+  await setConfig({ path: 'notig.timestampFormat', value: settings.timestampFormat });
+  await setConfig({ path: 'notig.attachmentStorage', value: settings.attachmentStorage });
+  await setConfig({
+    path: 'notig.attachmentPointerThreshold',
+    value: String(settings.attachmentPointerThreshold),
+  });
+  await setConfig({ path: 'notig.trashRetentionDays', value: String(settings.trashRetentionDays) });
+  if (settings.remoteUrl !== url) {
+    url = settings.remoteUrl;
+    await setConfig({ path: 'remote.origin.url', value: settings.remoteUrl });
+  }
+}
+
 export async function ensureConfig() {
   const remoteUrl = await safeGetConfig('remote.origin.url');
   const fetchRefspec = await safeGetConfig('remote.origin.fetch');
@@ -306,43 +718,257 @@ export async function applyConfigDefaults() {
 }
 
 /**
- * @returns {Promise<boolean>}
+ * @param {string | null} oid
+ * @param {string} filepath
+ * @returns {Promise<string | null>}
+ */
+async function readTextAtCommit(oid, filepath) {
+  if (!oid) return null;
+  try {
+    return await getHistoryContent(oid, filepath);
+  } catch (err) {
+    const code = getErrorCode(err);
+    if (code === 'NotFoundError' || code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * @typedef {{filepath: string; base: string | null; ours: string | null; theirs: string | null}} MergeConflict
+ * @typedef {{localOid: string | null; remoteOid: string | null; baseOid: string | null; conflicts: MergeConflict[]}} PendingMerge
  */
-export async function commitMergeConflictMarkers() {
+
+/**
+ * Collects the base/ours/theirs versions of every file left conflicted by a
+ * merge of the remote-tracking branch.
+ * @returns {Promise<PendingMerge>}
+ */
+export async function getMergeConflicts() {
   const matrix = await statusMatrix();
   const conflicted = matrix
     .filter((entry) => entry[3] === 3)
     .map(([path]) => path);
-  if (!conflicted.length) return false;
-  for (const filepath of conflicted) {
-    await add({ filepath });
-  }
-  const localRef = 'refs/heads/main';
-  const remoteRef = 'refs/remotes/origin/main';
+  const localRef = getLocalRef();
+  const remoteRef = getRemoteRef();
   const [localOid, remoteOid] = await Promise.all([
     git.resolveRef({ fs, dir, ref: localRef }).catch(() => null),
     git.resolveRef({ fs, dir, ref: remoteRef }).catch(() => null),
   ]);
+  if (!conflicted.length) {
+    return { localOid, remoteOid, baseOid: null, conflicts: [] };
+  }
+
+  /** @type {string | null} */
+  let baseOid = null;
+  if (localOid && remoteOid) {
+    try {
+      const bases = await git.findMergeBase({ fs, dir, oids: [localOid, remoteOid] });
+      baseOid = bases[0] ?? null;
+    } catch (err) {
+      console.warn('failed to find merge base', err);
+    }
+  }
+
+  /** @type {MergeConflict[]} */
+  const conflicts = [];
+  for (const filepath of conflicted) {
+    const [base, ours, theirs] = await Promise.all([
+      readTextAtCommit(baseOid, filepath),
+      readTextAtCommit(localOid, filepath),
+      readTextAtCommit(remoteOid, filepath),
+    ]);
+    conflicts.push({ filepath, base, ours, theirs });
+  }
+  return { localOid, remoteOid, baseOid, conflicts };
+}
+
+/**
+ * Writes the resolved files and records the merge commit. A `null` content
+ * resolves the conflict by deleting the file.
+ * @param {PendingMerge} pending
+ * @param {{filepath: string; content: string | null}[]} resolutions
+ * @returns {Promise<string>}
+ */
+export async function commitMergeResolution(pending, resolutions) {
+  for (const { filepath, content } of resolutions) {
+    if (content === null) {
+      try {
+        await pfs.unlink(`${dir}/${filepath}`);
+      } catch (err) {
+        if (getErrorCode(err) !== 'ENOENT') throw err;
+      }
+      await remove({ filepath });
+    } else {
+      await pfs.writeFile(`${dir}/${filepath}`, content, 'utf8');
+      await add({ filepath });
+    }
+  }
+  const { localOid, remoteOid } = pending;
+  const message = `merge origin/${branch}`;
   if (localOid && remoteOid && localOid !== remoteOid) {
-    await commit({ message: 'merge conflict', parent: [localOid, remoteOid] });
-  } else if (localOid) {
-    await commit({ message: 'merge conflict', parent: localOid });
-  } else {
-    await commit({ message: 'merge conflict' });
+    return commit({ message, parent: [localOid, remoteOid] });
+  }
+  if (localOid) {
+    return commit({ message, parent: [localOid] });
+  }
+  return commit({ message });
+}
+
+/**
+ * Writes an attachment (or its pointer file) to the working tree only. It is
+ * staged by the commit of the note that links it, so an attachment whose link
+ * is dropped again never reaches history.
+ * @param {string} filepath repository path below `attachments/`
+ * @param {Uint8Array | string} content
+ */
+export async function writeAttachment(filepath, content) {
+  await makeParentDirectories(filepath);
+  await pfs.writeFile(`${dir}/${filepath}`, content);
+}
+
+/**
+ * Stages the attachments a note links to that are new or changed in the
+ * working tree. Linked files that are missing are left alone.
+ * @param {string[]} filepaths repository paths below `attachments/`
+ */
+export async function stageAttachments(filepaths) {
+  for (const filepath of filepaths) {
+    const s = await status({ filepath });
+    if (s === '*added' || s === '*modified') {
+      await add({ filepath });
+    }
+  }
+}
+
+/**
+ * @param {string} filepath
+ * @returns {Promise<Uint8Array | null>}
+ */
+async function readAttachmentFromHistory(filepath) {
+  let commits;
+  try {
+    commits = await log({ ref: getLocalRef() });
+  } catch (err) {
+    if (getErrorCode(err) === 'NotFoundError') return null;
+    throw err;
   }
+  for (const entry of commits) {
+    try {
+      const { blob } = await readBlob({ oid: entry.oid, filepath });
+      return /** @type {Uint8Array} */ (blob);
+    } catch (err) {
+      if (getErrorCode(err) !== 'NotFoundError') throw err;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads an attachment from the working tree, falling back to history for
+ * files deleted since. Attachment names are content hashes, so any commit
+ * that has the path has the same bytes. Pointer files are returned parsed so
+ * callers can resolve them against the blob store.
+ * @param {string} filepath
+ * @returns {Promise<{data: Uint8Array; pointer: import('./attachments.js').AttachmentPointer | null} | null>}
+ */
+export async function readAttachment(filepath) {
+  /** @type {Uint8Array | null} */
+  let data = null;
+  try {
+    data = await pfs.readFile(`${dir}/${filepath}`);
+  } catch (err) {
+    if (getErrorCode(err) !== 'ENOENT') throw err;
+  }
+  if (!data) {
+    data = await readAttachmentFromHistory(filepath);
+  }
+  if (!data) return null;
+  return { data, pointer: parseAttachmentPointer(data) };
+}
+
+/**
+ * Lists the pointer files in the working tree, e.g. to prefetch their blobs
+ * after a clone or pull.
+ * @returns {Promise<{filepath: string; pointer: import('./attachments.js').AttachmentPointer}[]>}
+ */
+export async function listAttachmentPointers() {
+  /** @type {string[]} */
+  let names = [];
+  try {
+    names = await pfs.readdir(`${dir}/${ATTACHMENTS_DIR}`);
+  } catch (err) {
+    if (getErrorCode(err) !== 'ENOENT') throw err;
+  }
+  /** @type {{filepath: string; pointer: import('./attachments.js').AttachmentPointer}[]} */
+  const pointers = [];
+  for (const name of names) {
+    const filepath = `${ATTACHMENTS_DIR}/${name}`;
+    const stat = await pfs.stat(`${dir}/${filepath}`);
+    if (!stat.isFile() || stat.size > MAX_POINTER_SIZE) continue;
+    const pointer = parseAttachmentPointer(await pfs.readFile(`${dir}/${filepath}`));
+    if (pointer) {
+      pointers.push({ filepath, pointer });
+    }
+  }
+  return pointers;
+}
+
+/**
+ * Replaces the HEAD commit with one holding the current index, on the same
+ * parents. Callers make sure the commit has not been pushed.
+ * @param {{message?: string}} [options] defaults to the replaced message
+ * @returns {Promise<string>}
+ */
+export async function amendCommit(options = {}) {
+  const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+  const { commit: head } = await git.readCommit({ fs, dir, oid: headOid });
+  return commit({ message: options.message ?? head.message, parent: head.parent });
+}
+
+/**
+ * Records a push message as a commit with the HEAD tree on top of the commits
+ * origin does not have yet, so their own messages are kept.
+ * @param {string} message
+ * @returns {Promise<boolean>} `false` when there is nothing to push or origin
+ *   is not an ancestor of HEAD
+ */
+export async function commitPushMessage(message) {
+  const [localOid, remoteOid] = await Promise.all([
+    git.resolveRef({ fs, dir, ref: getLocalRef() }).catch(() => null),
+    git.resolveRef({ fs, dir, ref: getRemoteRef() }).catch(() => null),
+  ]);
+  if (!localOid || localOid === remoteOid) return false;
+  if (remoteOid) {
+    const isAhead = await git.isDescendent({ fs, dir, oid: localOid, ancestor: remoteOid, depth: -1 });
+    if (!isAhead) return false;
+  }
+  const { commit: head } = await git.readCommit({ fs, dir, oid: localOid });
+  await commit({ message, tree: head.tree, parent: [localOid] });
   return true;
 }
 
 export async function resetToRemote() {
-  const remoteRef = 'refs/remotes/origin/main';
-  const localRef = 'refs/heads/main';
+  const remoteRef = getRemoteRef();
+  const localRef = getLocalRef();
   const remoteOid = await git.resolveRef({ fs, dir, ref: remoteRef });
   await git.writeRef({ fs, dir, ref: localRef, value: remoteOid, force: true });
-  await git.checkout({ fs, dir, ref: 'main', force: true });
+  await git.checkout({ fs, dir, ref: branch, force: true });
 }
 
 export async function refreshWorkingTree() {
-  await git.checkout({ fs, dir, ref: 'main', force: true });
+  await git.checkout({ fs, dir, ref: branch, force: true });
 }
 
-export { git, fs, pfs, dir, notesDir, url, FETCH_REFSPEC, author };
+export {
+  git,
+  fs,
+  pfs,
+  dir,
+  notesDir,
+  url,
+  FETCH_REFSPEC,
+  author,
+  DEFAULT_REPOSITORY,
+};
@@ -0,0 +1,65 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+
+/** @type {HTMLButtonElement} */
+export const exportBtn = getRequiredElement('export-notes');
+/** @type {HTMLButtonElement} */
+export const importBtn = getRequiredElement('import-notes');
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('import-dialog');
+/** @type {HTMLFormElement} */
+const formEl = getRequiredElement('import-form');
+/** @type {HTMLInputElement} */
+const filesInputEl = getRequiredElement('import-files');
+/** @type {HTMLInputElement} */
+const folderInputEl = getRequiredElement('import-folder');
+/** @type {HTMLButtonElement} */
+const cancelBtn = getRequiredElement('import-cancel');
+
+/** @type {((files: File[] | null) => void) | null} */
+let settle = null;
+
+/**
+ * @param {File[] | null} files
+ */
+function finish(files) {
+  const done = settle;
+  settle = null;
+  if (dialogEl.open) {
+    dialogEl.close();
+  }
+  if (done) {
+    done(files);
+  }
+}
+
+/**
+ * Resolves with the picked zip archives, Markdown files and folder contents,
+ * or `null` when the dialog is dismissed.
+ * @returns {Promise<File[] | null>}
+ */
+export function openImportDialog() {
+  if (settle) {
+    finish(null);
+  }
+  formEl.reset();
+  return new Promise((resolve) => {
+    settle = resolve;
+    dialogEl.showModal();
+  });
+}
+
+formEl.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const files = [
+    ...Array.from(filesInputEl.files ?? []),
+    ...Array.from(folderInputEl.files ?? []),
+  ];
+  finish(files.length ? files : null);
+});
+
+cancelBtn.addEventListener('click', () => finish(null));
+dialogEl.addEventListener('cancel', (event) => {
+  event.preventDefault();
+  finish(null);
+});
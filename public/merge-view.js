@@ -0,0 +1,277 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+import { parseNoteBody, getNoteTitle } from './note-utils.js';
+import {
+  diff3Merge,
+  buildMergeResult,
+  splitLines,
+  CONFLICT_MARKER_PATTERN,
+} from './diff-utils.js';
+
+/**
+ * @typedef {import('./git-api.js').MergeConflict} MergeConflict
+ * @typedef {import('./diff-utils.js').MergeChunk} MergeChunk
+ * @typedef {import('./diff-utils.js').MergeChoice} MergeChoice
+ * @typedef {{
+ *   conflict: MergeConflict;
+ *   title: string;
+ *   chunks: MergeChunk[];
+ *   choices: (MergeChoice | null)[];
+ *   content: string | null;
+ *   resolved: boolean;
+ * }} MergeFileState
+ */
+
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('merge-dialog');
+/** @type {HTMLUListElement} */
+const fileListEl = getRequiredElement('merge-file-list');
+/** @type {HTMLPreElement} */
+const basePaneEl = getRequiredElement('merge-base');
+/** @type {HTMLPreElement} */
+const oursPaneEl = getRequiredElement('merge-ours');
+/** @type {HTMLPreElement} */
+const theirsPaneEl = getRequiredElement('merge-theirs');
+/** @type {HTMLDivElement} */
+const hunksEl = getRequiredElement('merge-hunks');
+/** @type {HTMLTextAreaElement} */
+const resultEl = getRequiredElement('merge-result');
+/** @type {HTMLButtonElement} */
+const useOursBtn = getRequiredElement('merge-use-ours');
+/** @type {HTMLButtonElement} */
+const useTheirsBtn = getRequiredElement('merge-use-theirs');
+/** @type {HTMLButtonElement} */
+const markResolvedBtn = getRequiredElement('merge-mark-resolved');
+/** @type {HTMLButtonElement} */
+const commitBtn = getRequiredElement('merge-commit');
+/** @type {HTMLButtonElement} */
+const cancelBtn = getRequiredElement('merge-cancel');
+
+const CHOICE_LABELS = /** @type {const} */ ([
+  ['ours', 'Ours'],
+  ['theirs', 'Theirs'],
+  ['both', 'Both'],
+  ['base', 'Base'],
+]);
+
+/** @type {MergeFileState[]} */
+let files = [];
+let selectedIndex = 0;
+/** @type {((result: {filepath: string; content: string | null}[] | null) => void) | null} */
+let settle = null;
+
+/**
+ * @param {MergeConflict} conflict
+ * @returns {MergeFileState}
+ */
+function createFileState(conflict) {
+  const title = getNoteTitle(
+    parseNoteBody(conflict.ours ?? conflict.theirs ?? conflict.base ?? '')
+  );
+  if (conflict.ours === null || conflict.theirs === null) {
+    return {
+      conflict,
+      title,
+      chunks: [],
+      choices: [],
+      content: conflict.ours ?? conflict.theirs,
+      resolved: false,
+    };
+  }
+  const chunks = diff3Merge(
+    splitLines(conflict.base),
+    splitLines(conflict.ours),
+    splitLines(conflict.theirs)
+  );
+  const choices = chunks.map(() => null);
+  return {
+    conflict,
+    title,
+    chunks,
+    choices,
+    content: buildMergeResult(chunks, choices),
+    resolved: false,
+  };
+}
+
+/**
+ * @param {HTMLPreElement} paneEl
+ * @param {string | null} text
+ */
+function renderPane(paneEl, text) {
+  paneEl.textContent = text === null ? '(deleted)' : text;
+  paneEl.classList.toggle('is-deleted', text === null);
+}
+
+function renderFileList() {
+  fileListEl.innerHTML = '';
+  files.forEach((file, index) => {
+    const li = document.createElement('li');
+    li.textContent = file.title;
+    li.title = file.conflict.filepath;
+    li.classList.toggle('active', index === selectedIndex);
+    li.classList.toggle('resolved', file.resolved);
+    li.addEventListener('click', () => {
+      storeResultText();
+      selectedIndex = index;
+      render();
+    });
+    fileListEl.appendChild(li);
+  });
+  commitBtn.disabled = !files.length || files.some((file) => !file.resolved);
+}
+
+/**
+ * @param {MergeFileState} file
+ */
+function renderHunks(file) {
+  hunksEl.innerHTML = '';
+  if (!file.chunks.length) {
+    const noteEl = document.createElement('p');
+    noteEl.className = 'merge-hint';
+    noteEl.textContent = 'Deleted on one side. Choose "Use ours" or "Use theirs".';
+    hunksEl.appendChild(noteEl);
+    return;
+  }
+  let conflictNumber = 0;
+  file.chunks.forEach((chunk, index) => {
+    if (chunk.type !== 'conflict') return;
+    conflictNumber += 1;
+    const hunkEl = document.createElement('div');
+    hunkEl.className = 'merge-hunk';
+
+    const headerEl = document.createElement('div');
+    headerEl.className = 'merge-hunk-header';
+    const labelEl = document.createElement('span');
+    labelEl.textContent = `Conflict ${conflictNumber}`;
+    headerEl.appendChild(labelEl);
+    CHOICE_LABELS.forEach(([choice, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.classList.toggle('active', file.choices[index] === choice);
+      button.addEventListener('click', () => {
+        file.choices[index] = choice;
+        file.content = buildMergeResult(file.chunks, file.choices);
+        file.resolved = false;
+        render();
+      });
+      headerEl.appendChild(button);
+    });
+    hunkEl.appendChild(headerEl);
+
+    const sidesEl = document.createElement('div');
+    sidesEl.className = 'merge-hunk-sides';
+    [chunk.ours, chunk.theirs].forEach((lines) => {
+      const pre = document.createElement('pre');
+      pre.textContent = lines.join('\n');
+      sidesEl.appendChild(pre);
+    });
+    hunkEl.appendChild(sidesEl);
+    hunksEl.appendChild(hunkEl);
+  });
+}
+
+function render() {
+  renderFileList();
+  const file = files[selectedIndex];
+  if (!file) return;
+  renderPane(basePaneEl, file.conflict.base);
+  renderPane(oursPaneEl, file.conflict.ours);
+  renderPane(theirsPaneEl, file.conflict.theirs);
+  renderHunks(file);
+  resultEl.disabled = file.content === null;
+  resultEl.value = file.content ?? '';
+  resultEl.placeholder = file.content === null ? '(file will be deleted)' : '';
+  markResolvedBtn.disabled = file.resolved;
+}
+
+function storeResultText() {
+  const file = files[selectedIndex];
+  if (!file || file.content === null) return;
+  if (resultEl.value !== file.content) {
+    file.content = resultEl.value;
+    file.resolved = false;
+  }
+}
+
+/**
+ * @param {'ours' | 'theirs'} side
+ */
+function useSide(side) {
+  const file = files[selectedIndex];
+  if (!file) return;
+  file.content = file.conflict[side];
+  file.choices = file.choices.map(() => side);
+  file.resolved = false;
+  render();
+}
+
+function markResolved() {
+  storeResultText();
+  const file = files[selectedIndex];
+  if (!file) return;
+  if (file.content !== null && CONFLICT_MARKER_PATTERN.test(file.content)) {
+    window.alert('Conflict markers remain in the result.');
+    return;
+  }
+  file.resolved = true;
+  const nextIndex = files.findIndex((entry) => !entry.resolved);
+  if (nextIndex !== -1) {
+    selectedIndex = nextIndex;
+  }
+  render();
+}
+
+/**
+ * @param {{filepath: string; content: string | null}[] | null} result
+ */
+function finish(result) {
+  const done = settle;
+  settle = null;
+  files = [];
+  if (dialogEl.open) {
+    dialogEl.close();
+  }
+  if (done) {
+    done(result);
+  }
+}
+
+/**
+ * Shows the resolution dialog and resolves with the merged content of every
+ * conflicted file, or `null` when the user postpones the merge.
+ * @param {MergeConflict[]} conflicts
+ * @returns {Promise<{filepath: string; content: string | null}[] | null>}
+ */
+export function resolveMergeConflicts(conflicts) {
+  if (settle) {
+    finish(null);
+  }
+  files = conflicts.map(createFileState);
+  selectedIndex = 0;
+  return new Promise((resolve) => {
+    settle = resolve;
+    render();
+    dialogEl.showModal();
+  });
+}
+
+resultEl.addEventListener('input', () => {
+  storeResultText();
+  markResolvedBtn.disabled = false;
+  renderFileList();
+});
+useOursBtn.addEventListener('click', () => useSide('ours'));
+useTheirsBtn.addEventListener('click', () => useSide('theirs'));
+markResolvedBtn.addEventListener('click', markResolved);
+commitBtn.addEventListener('click', () => {
+  storeResultText();
+  if (files.some((file) => !file.resolved)) return;
+  finish(files.map((file) => ({ filepath: file.conflict.filepath, content: file.content })));
+});
+cancelBtn.addEventListener('click', () => finish(null));
+dialogEl.addEventListener('cancel', (event) => {
+  event.preventDefault();
+  finish(null);
+});
@@ -1,16 +1,60 @@
 'use strict';
+import {
+  parseDocument,
+  Document,
+  isMap,
+  isScalar,
+  isCollection,
+} from 'https://esm.sh/yaml@2.6.1';
 import { logFileChanges, getBlobOidAtCommit } from './git-api.js';
 
 const DATE_FORMATTER = new Intl.DateTimeFormat('ja-JP', {
   dateStyle: 'medium',
   timeStyle: 'medium',
 });
+const BLOB_LINK_PATTERN = /(!?)\[([^\]]*)\]\((\/(?:blobs|attachments)\/[^)\s]+)[^)]*\)/g;
+const FILE_SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+const FRONT_MATTER_CACHE_SIZE = 1000;
 
 /**
+ * @typedef {string | number | boolean | null | FrontMatterList | FrontMatterMap} FrontMatterValue
+ * @typedef {FrontMatterValue[]} FrontMatterList
+ * @typedef {{[key: string]: FrontMatterValue}} FrontMatterMap
+ * @typedef {Record<string, FrontMatterValue>} FrontMatter
+ */
+
+/**
+ * @param {string} text
+ * @returns {Document | null} `null` when the text is not valid YAML
+ */
+function parseYamlDocument(text) {
+  const doc = parseDocument(text, { prettyErrors: false });
+  return doc.errors.length ? null : doc;
+}
+
+/**
+ * Parses front matter as YAML. Blocks that are not valid YAML (e.g. an
+ * unquoted `title: a: b`) fall back to the lenient line matcher used before.
  * @param {string[]} lines
- * @returns {Record<string, string | string[]>}
+ * @returns {FrontMatter}
  */
 export function parseFrontMatter(lines) {
+  const doc = parseYamlDocument(lines.join('\n'));
+  if (!doc) {
+    return parseFrontMatterLines(lines);
+  }
+  const data = doc.toJS();
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {};
+  }
+  return /** @type {FrontMatter} */ (data);
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {Record<string, string | string[]>}
+ */
+function parseFrontMatterLines(lines) {
   /** @type {Record<string, string | string[]>} */
   const data = {};
   /** @type {string | null} */
@@ -73,10 +117,25 @@ function stripYamlDoubleQuotes(value) {
 }
 
 /**
- * @param {string} value
+ * @param {FrontMatterValue | undefined} value
+ * @returns {string | null}
+ */
+function getScalarText(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return null;
+}
+
+/**
+ * @param {FrontMatterValue | undefined} value
  * @returns {number | undefined}
  */
 function parseFrontMatterTimestamp(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return undefined;
+    return value < 1e12 ? value * 1000 : value;
+  }
+  if (typeof value !== 'string') return undefined;
   const trimmed = stripYamlDoubleQuotes(value.trim());
   if (!trimmed) return undefined;
   if (/^\d+$/.test(trimmed)) {
@@ -98,6 +157,38 @@ export function formatUpdatedAt(timestamp) {
   return DATE_FORMATTER.format(new Date(timestamp));
 }
 
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. `820 B`, `1.4 MB`
+ */
+export function formatFileSize(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < FILE_SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  const rounded = unit === 0 || value >= 10 ? Math.round(value) : Math.round(value * 10) / 10;
+  return `${rounded} ${FILE_SIZE_UNITS[unit]}`;
+}
+
+/**
+ * Lists the uploaded files a note links to, first occurrence wins.
+ * @param {string} content
+ * @returns {{url: string; label: string; isImage: boolean}[]}
+ */
+export function getBlobLinks(content) {
+  /** @type {Map<string, {url: string; label: string; isImage: boolean}>} */
+  const links = new Map();
+  Array.from(content.matchAll(BLOB_LINK_PATTERN)).forEach((match) => {
+    const url = match[3];
+    if (!links.has(url)) {
+      links.set(url, { url, label: match[2].trim(), isImage: match[1] === '!' });
+    }
+  });
+  return Array.from(links.values());
+}
+
 /**
  * @param {number | undefined} timestamp
  * @param {number} [now]
@@ -131,21 +222,109 @@ export function getUpdatedAtGroupLabel(timestamp, now = Date.now()) {
 }
 
 /**
- * @param {{frontMatter: Record<string, string | string[]>}} parsed
+ * @param {{frontMatter: FrontMatter}} parsed
  * @returns {number | undefined}
  */
 export function getNoteUpdatedAt(parsed) {
-  const modified = parsed.frontMatter.modified;
-  if (typeof modified === 'string') {
-    const ts = parseFrontMatterTimestamp(modified);
-    if (typeof ts === 'number') return ts;
+  const modified = parseFrontMatterTimestamp(parsed.frontMatter.modified);
+  if (typeof modified === 'number') return modified;
+  const Modified = parseFrontMatterTimestamp(parsed.frontMatter.Modified);
+  if (typeof Modified === 'number') return Modified;
+  return undefined;
+}
+
+/**
+ * @param {{frontMatter: FrontMatter}} parsed
+ * @returns {number | undefined}
+ */
+export function getNoteCreatedAt(parsed) {
+  const created = parseFrontMatterTimestamp(parsed.frontMatter.created);
+  if (typeof created === 'number') return created;
+  const Created = parseFrontMatterTimestamp(parsed.frontMatter.Created);
+  if (typeof Created === 'number') return Created;
+  return undefined;
+}
+
+/**
+ * @param {number} value
+ * @returns {string} at least two digits, e.g. `07`
+ */
+export function padNumber(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * @typedef {'iso' | 'epoch'} TimestampFormat
+ */
+
+/**
+ * Formats a timestamp as epoch seconds or local ISO 8601 with offset. Without
+ * an explicit format the style of the value it replaces is kept: epoch numbers
+ * stay numbers in the same unit, anything else becomes ISO.
+ * @param {number} timestamp
+ * @param {FrontMatterValue | undefined} previous
+ * @param {TimestampFormat} [format]
+ * @returns {FrontMatterValue}
+ */
+export function formatFrontMatterTimestamp(timestamp, previous, format) {
+  if (format === 'epoch') {
+    return Math.round(timestamp / 1000);
   }
-  const Modified = parsed.frontMatter.Modified;
-  if (typeof Modified === 'string') {
-    const ts = parseFrontMatterTimestamp(Modified);
-    if (typeof ts === 'number') return ts;
+  if (!format && typeof previous === 'number') {
+    return previous < 1e12 ? Math.round(timestamp / 1000) : timestamp;
   }
-  return undefined;
+  const date = new Date(timestamp);
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const absOffset = Math.abs(offset);
+  return (
+    `${date.getFullYear()}-${padNumber(date.getMonth() + 1)}-${padNumber(date.getDate())}` +
+    `T${padNumber(date.getHours())}:${padNumber(date.getMinutes())}:${padNumber(date.getSeconds())}` +
+    `${sign}${padNumber(Math.floor(absOffset / 60))}:${padNumber(absOffset % 60)}`
+  );
+}
+
+/**
+ * @typedef {{title?: string; tags?: string[]; created?: number | null; modified?: number | null}} NoteFields
+ */
+
+/**
+ * Writes the well-known fields through {@link updateFrontMatter}, reusing
+ * the capitalized key (`Title`, `Tags`, ...) when a note already has one.
+ * Empty values remove the key.
+ * @param {string} body
+ * @param {NoteFields} fields
+ * @param {{timestampFormat?: TimestampFormat}} [options]
+ * @returns {string}
+ */
+export function updateNoteFields(body, fields, options = {}) {
+  const { frontMatter } = parseNoteBody(body);
+  /** @type {Record<string, FrontMatterValue | undefined>} */
+  const updates = {};
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  const resolveKey = (key) => {
+    const capitalized = `${key[0].toUpperCase()}${key.slice(1)}`;
+    return !(key in frontMatter) && capitalized in frontMatter ? capitalized : key;
+  };
+  if (fields.title !== undefined) {
+    updates[resolveKey('title')] = fields.title.trim() || undefined;
+  }
+  if (fields.tags !== undefined) {
+    updates[resolveKey('tags')] = fields.tags.length ? fields.tags : undefined;
+  }
+  ['created', 'modified'].forEach((name) => {
+    const value = name === 'created' ? fields.created : fields.modified;
+    if (value === undefined) return;
+    const key = resolveKey(name);
+    updates[key] =
+      value === null
+        ? undefined
+        : formatFrontMatterTimestamp(value, frontMatter[key], options.timestampFormat);
+  });
+  return updateFrontMatter(body, updates);
 }
 
 /**
@@ -180,14 +359,15 @@ export async function getLatestCommitTimestamp(filepath, depth = 5) {
 }
 
 /**
+ * Splits the front matter block off a note without parsing it.
  * @param {string | null | undefined} body
- * @returns {{frontMatter: Record<string, string | string[]>; frontMatterRaw: string | null; content: string}}
+ * @returns {{frontMatterLines: string[] | null; frontMatterRaw: string | null; content: string}}
  */
-export function parseNoteBody(body) {
+function splitNoteBody(body) {
   const safeBody = typeof body === 'string' ? body : '';
   const lines = safeBody.split(/\r?\n/);
   if (lines[0] !== '---') {
-    return { frontMatter: {}, frontMatterRaw: null, content: safeBody };
+    return { frontMatterLines: null, frontMatterRaw: null, content: safeBody };
   }
 
   let endIndex = -1;
@@ -199,31 +379,77 @@ export function parseNoteBody(body) {
   }
 
   if (endIndex === -1) {
-    return { frontMatter: {}, frontMatterRaw: null, content: safeBody };
+    return { frontMatterLines: null, frontMatterRaw: null, content: safeBody };
   }
 
-  const frontMatterLines = lines.slice(1, endIndex);
-  const content = lines.slice(endIndex + 1).join('\n');
   return {
-    frontMatter: parseFrontMatter(frontMatterLines),
+    frontMatterLines: lines.slice(1, endIndex),
     frontMatterRaw: lines.slice(0, endIndex + 1).join('\n'),
+    content: lines.slice(endIndex + 1).join('\n'),
+  };
+}
+
+/**
+ * The note text below the front matter; cheaper than parseNoteBody when the
+ * fields are not needed.
+ * @param {string | null | undefined} body
+ * @returns {string}
+ */
+export function getNoteContent(body) {
+  return splitNoteBody(body).content;
+}
+
+/** @type {Map<string, FrontMatter>} */
+const frontMatterCache = new Map();
+
+/**
+ * @param {string[]} lines
+ * @param {string} raw
+ * @returns {FrontMatter}
+ */
+function getParsedFrontMatter(lines, raw) {
+  const cached = frontMatterCache.get(raw);
+  if (cached) return cached;
+  const frontMatter = parseFrontMatter(lines);
+  if (frontMatterCache.size >= FRONT_MATTER_CACHE_SIZE) {
+    // Maps iterate in insertion order, so this drops the oldest entry.
+    const oldest = frontMatterCache.keys().next();
+    if (!oldest.done) {
+      frontMatterCache.delete(oldest.value);
+    }
+  }
+  frontMatterCache.set(raw, frontMatter);
+  return frontMatter;
+}
+
+/**
+ * Lists, filters and backlinks parse every note on each render, so parsed
+ * front matter is cached by its source text. Treat `frontMatter` as
+ * read-only: it may be shared between calls.
+ * @param {string | null | undefined} body
+ * @returns {{frontMatter: FrontMatter; frontMatterRaw: string | null; content: string}}
+ */
+export function parseNoteBody(body) {
+  const { frontMatterLines, frontMatterRaw, content } = splitNoteBody(body);
+  return {
+    frontMatter:
+      frontMatterLines && frontMatterRaw !== null
+        ? getParsedFrontMatter(frontMatterLines, frontMatterRaw)
+        : {},
+    frontMatterRaw,
     content,
   };
 }
 
 /**
- * @param {{frontMatter: Record<string, string | string[]>; content: string}} parsed
+ * @param {{frontMatter: FrontMatter; content: string}} parsed
  * @returns {string}
  */
 export function getNoteTitle(parsed) {
-  if (typeof parsed.frontMatter.title === 'string') {
-    const title = parsed.frontMatter.title.trim();
-    if (title) return title;
-  }
-  if (typeof parsed.frontMatter.Title === 'string') {
-    const title = parsed.frontMatter.Title.trim();
-    if (title) return title;
-  }
+  const title = getScalarText(parsed.frontMatter.title)?.trim();
+  if (title) return title;
+  const Title = getScalarText(parsed.frontMatter.Title)?.trim();
+  if (Title) return Title;
   const fallback = parsed.content
     .split(/\r?\n/)
     .find((line) => line.trim());
@@ -231,23 +457,104 @@ export function getNoteTitle(parsed) {
 }
 
 /**
- * @param {{frontMatter: Record<string, string | string[]>}} parsed
+ * @param {FrontMatterValue | undefined} value
+ * @returns {string[] | null}
+ */
+function getTagList(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map((tag) => getScalarText(tag)?.trim() ?? '')
+      .filter(Boolean);
+  }
+  const text = getScalarText(value)?.trim();
+  return text ? [text] : null;
+}
+
+/**
+ * @param {{frontMatter: FrontMatter}} parsed
  * @returns {string[]}
  */
 export function getNoteTags(parsed) {
-  const tags = parsed.frontMatter.tags;
-  if (Array.isArray(tags)) {
-    return tags.filter((tag) => typeof tag === 'string' && tag.trim());
+  return getTagList(parsed.frontMatter.tags) ?? getTagList(parsed.frontMatter.Tags) ?? [];
+}
+
+/**
+ * Maps every tag of a note through `mapTag` (`null` drops the tag) and
+ * writes the result back to whichever of `tags`/`Tags` the note uses.
+ * A single tag written as a plain string stays a string.
+ * @param {string} body
+ * @param {(tag: string) => string | null} mapTag
+ * @returns {string} the body unchanged when no tag was affected
+ */
+export function rewriteNoteTags(body, mapTag) {
+  const { frontMatter } = parseNoteBody(body);
+  const key = getTagList(frontMatter.tags) ? 'tags' : 'Tags';
+  const tags = getTagList(frontMatter[key]) ?? [];
+  /** @type {string[]} */
+  const next = [];
+  let changed = false;
+  tags.forEach((tag) => {
+    const mapped = mapTag(tag);
+    if (mapped !== tag) {
+      changed = true;
+    }
+    if (mapped && !next.includes(mapped)) {
+      next.push(mapped);
+    } else if (mapped) {
+      changed = true;
+    }
+  });
+  if (!changed) return body;
+  if (!next.length) {
+    return updateFrontMatter(body, { [key]: undefined });
   }
-  if (typeof tags === 'string' && tags.trim()) {
-    return [tags.trim()];
+  const keepScalar = !Array.isArray(frontMatter[key]) && next.length === 1;
+  return updateFrontMatter(body, { [key]: keepScalar ? next[0] : next });
+}
+
+/**
+ * Sets front matter fields (`undefined` removes one) and returns the updated
+ * note body. Comments, quoting, flow style and key order of the existing block
+ * are kept; new keys are appended.
+ * @param {string} body
+ * @param {Record<string, FrontMatterValue | undefined>} updates
+ * @returns {string}
+ */
+export function updateFrontMatter(body, updates) {
+  const { frontMatterRaw, content } = parseNoteBody(body);
+  /** @type {Document | null} */
+  let doc = null;
+  if (frontMatterRaw !== null) {
+    const lines = frontMatterRaw.split('\n').slice(1, -1);
+    doc = parseYamlDocument(lines.join('\n')) ?? new Document(parseFrontMatterLines(lines));
   }
-  const Tags = parsed.frontMatter.Tags;
-  if (Array.isArray(Tags)) {
-    return Tags.filter((tag) => typeof tag === 'string' && tag.trim());
+  if (!doc || !isMap(doc.contents)) {
+    doc = new Document({});
   }
-  if (typeof Tags === 'string' && Tags.trim()) {
-    return [Tags.trim()];
+
+  Object.keys(updates).forEach((key) => {
+    const value = updates[key];
+    if (value === undefined) {
+      doc.delete(key);
+      return;
+    }
+    const node = doc.createNode(value);
+    const previous = doc.get(key, true);
+    if (isScalar(node) && isScalar(previous) && typeof previous.value === typeof value) {
+      node.type = previous.type;
+    } else if (isCollection(node) && isCollection(previous)) {
+      node.flow = previous.flow;
+    }
+    if (isScalar(previous) || isCollection(previous)) {
+      node.comment = previous.comment;
+      node.commentBefore = previous.commentBefore;
+    }
+    doc.set(key, node);
+  });
+
+  if (isMap(doc.contents) && !doc.contents.items.length && !doc.commentBefore && !doc.comment) {
+    return frontMatterRaw === null ? body : content;
   }
-  return [];
+  const yaml = doc.toString({ lineWidth: 0, flowCollectionPadding: false }).replace(/\n$/, '');
+  return frontMatterRaw === null ? `---\n${yaml}\n---\n\n${body}` : `---\n${yaml}\n---\n${content}`;
 }
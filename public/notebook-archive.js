@@ -0,0 +1,211 @@
+'use strict';
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'https://esm.sh/fflate@0.8.2';
+import { parseNoteBody, getNoteTitle, updateFrontMatter } from './note-utils.js';
+
+const ASSETS_DIR = 'assets';
+const MARKDOWN_FILE_PATTERN = /\.(md|markdown)$/i;
+const IGNORED_PATH_PATTERN = /(^|\/)(__MACOSX|\.[^/]*)(\/|$)/;
+const BLOB_LINK_PATTERN = /(!?\[[^\]]*\]\()(\/(?:blobs|attachments)\/[^)\s]+)([^)]*\))/g;
+const RELATIVE_LINK_PATTERN = /(!?\[[^\]]*\]\()([^)\s]+)([^)]*\))/g;
+const MAX_FILE_NAME_LENGTH = 100;
+
+/**
+ * @typedef {{id: string; body: string}} ArchiveNote
+ * @typedef {{path: string; text: string}} ImportedMarkdown
+ * @typedef {Uint8Array<ArrayBuffer>} Bytes
+ * @typedef {{markdown: ImportedMarkdown[]; assets: Map<string, Bytes>}} ImportedFiles
+ */
+
+/**
+ * @param {string} title
+ * @returns {string}
+ */
+function toFileName(title) {
+  const safe = title
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+    .replace(/^\.+/, '')
+    .trim()
+    .slice(0, MAX_FILE_NAME_LENGTH)
+    .trim();
+  return safe || 'Untitled';
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizeArchivePath(path) {
+  /** @type {string[]} */
+  const parts = [];
+  path.split('/').forEach((part) => {
+    if (!part || part === '.') return;
+    if (part === '..') {
+      parts.pop();
+      return;
+    }
+    parts.push(part);
+  });
+  return parts.join('/');
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+function getDirName(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+export function getBaseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function safeDecodeURI(value) {
+  try {
+    return decodeURI(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+/**
+ * Zips every note as `<title>.md`, bundling referenced `/blobs/` and
+ * `/attachments/` files under `assets/` and pointing the exported links at them.
+ * @param {ArchiveNote[]} notes
+ * @param {(url: string) => Promise<Bytes | null>} fetchBlob
+ * @returns {Promise<Bytes>}
+ */
+export async function buildExportArchive(notes, fetchBlob) {
+  /** @type {Record<string, Uint8Array>} */
+  const files = {};
+  /** @type {Map<string, string | null>} */
+  const bundledAssets = new Map();
+  const usedNames = new Set();
+
+  for (let i = 0; i < notes.length; i += 1) {
+    const note = notes[i];
+    const baseName = toFileName(getNoteTitle(parseNoteBody(note.body)));
+    let fileName = `${baseName}.md`;
+    for (let n = 2; usedNames.has(fileName.toLowerCase()); n += 1) {
+      fileName = `${baseName} (${n}).md`;
+    }
+    usedNames.add(fileName.toLowerCase());
+
+    const blobUrls = Array.from(note.body.matchAll(BLOB_LINK_PATTERN), (match) => match[2]);
+    for (let j = 0; j < blobUrls.length; j += 1) {
+      const url = blobUrls[j];
+      if (bundledAssets.has(url)) continue;
+      const assetPath = `${ASSETS_DIR}/${normalizeArchivePath(safeDecodeURI(url.replace(/^\/(?:blobs|attachments)\//, '')))}`;
+      const data = await fetchBlob(url).catch((err) => {
+        console.warn(`failed to bundle ${url}`, err);
+        return null;
+      });
+      if (data) {
+        files[assetPath] = data;
+      }
+      bundledAssets.set(url, data ? assetPath : null);
+    }
+
+    const body = note.body.replace(BLOB_LINK_PATTERN, (match, open, url, close) => {
+      const assetPath = bundledAssets.get(url);
+      return assetPath ? `${open}${encodeURI(assetPath)}${close}` : match;
+    });
+    files[fileName] = strToU8(body);
+  }
+  return zipSync(files);
+}
+
+/**
+ * @param {Map<string, Bytes>} assets
+ * @param {string} path
+ * @param {Bytes} data
+ * @param {ImportedMarkdown[]} markdown
+ */
+function addImportedFile(assets, path, data, markdown) {
+  const normalized = normalizeArchivePath(path);
+  if (!normalized || IGNORED_PATH_PATTERN.test(normalized)) return;
+  if (MARKDOWN_FILE_PATTERN.test(normalized)) {
+    markdown.push({ path: normalized, text: strFromU8(data).replace(/\r\n?/g, '\n') });
+  } else {
+    assets.set(normalized, data);
+  }
+}
+
+/**
+ * Reads `.md` files (and anything they might reference) from zip archives,
+ * loose files or a folder picked with `webkitdirectory`.
+ * @param {File[]} files
+ * @returns {Promise<ImportedFiles>}
+ */
+export async function readImportFiles(files) {
+  /** @type {ImportedMarkdown[]} */
+  const markdown = [];
+  /** @type {Map<string, Bytes>} */
+  const assets = new Map();
+  for (let i = 0; i < files.length; i += 1) {
+    const file = files[i];
+    const data = new Uint8Array(await file.arrayBuffer());
+    if (/\.zip$/i.test(file.name)) {
+      const entries = unzipSync(data);
+      Object.keys(entries).forEach((path) => {
+        if (path.endsWith('/')) return;
+        addImportedFile(assets, path, entries[path], markdown);
+      });
+      continue;
+    }
+    addImportedFile(assets, file.webkitRelativePath || file.name, data, markdown);
+  }
+  markdown.sort((a, b) => a.path.localeCompare(b.path));
+  return { markdown, assets };
+}
+
+/**
+ * Uses the file name as the title when the front matter does not set one.
+ * @param {ImportedMarkdown} file
+ * @returns {string}
+ */
+export function ensureImportedTitle(file) {
+  const { frontMatter } = parseNoteBody(file.text);
+  if (frontMatter.title != null || frontMatter.Title != null) {
+    return file.text;
+  }
+  const title = getBaseName(file.path).replace(MARKDOWN_FILE_PATTERN, '');
+  return updateFrontMatter(file.text, { title });
+}
+
+/**
+ * Rewrites links to files bundled next to an imported note.
+ * @param {ImportedMarkdown} file
+ * @param {string} body
+ * @param {Map<string, Bytes>} assets
+ * @param {(path: string, data: Bytes) => Promise<string | null>} uploadAsset
+ * @returns {Promise<string>}
+ */
+export async function relinkImportedAssets(file, body, assets, uploadAsset) {
+  const baseDir = getDirName(file.path);
+  /** @type {Map<string, string | null>} */
+  const uploaded = new Map();
+  const targets = Array.from(body.matchAll(RELATIVE_LINK_PATTERN), (match) => match[2]).filter(
+    (target) => !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(target)
+  );
+  for (let i = 0; i < targets.length; i += 1) {
+    const target = targets[i];
+    if (uploaded.has(target)) continue;
+    const path = normalizeArchivePath(`${baseDir}/${safeDecodeURI(target)}`);
+    const data = assets.get(path);
+    uploaded.set(target, data ? await uploadAsset(path, data) : null);
+  }
+  return body.replace(RELATIVE_LINK_PATTERN, (match, open, target, close) => {
+    const url = uploaded.get(target);
+    return url ? `${open}${url}${close}` : match;
+  });
+}
@@ -0,0 +1,56 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('push-dialog');
+/** @type {HTMLFormElement} */
+const formEl = getRequiredElement('push-form');
+/** @type {HTMLInputElement} */
+const messageInputEl = getRequiredElement('push-message');
+/** @type {HTMLButtonElement} */
+const cancelBtn = getRequiredElement('push-cancel');
+
+/** @type {((value: string | null) => void) | null} */
+let settle = null;
+
+/**
+ * @param {string | null} value
+ */
+function finish(value) {
+  const done = settle;
+  settle = null;
+  if (dialogEl.open) {
+    dialogEl.close();
+  }
+  if (done) {
+    done(value);
+  }
+}
+
+/**
+ * Asks for an optional message before pushing. Resolves with the raw input
+ * (`''` to push the local commits as they are) or `null` when dismissed.
+ * @returns {Promise<string | null>}
+ */
+export function promptPushMessage() {
+  if (settle) {
+    finish(null);
+  }
+  messageInputEl.value = '';
+  return new Promise((resolve) => {
+    settle = resolve;
+    dialogEl.showModal();
+    messageInputEl.focus();
+  });
+}
+
+formEl.addEventListener('submit', (event) => {
+  event.preventDefault();
+  finish(messageInputEl.value);
+});
+
+cancelBtn.addEventListener('click', () => finish(null));
+dialogEl.addEventListener('cancel', (event) => {
+  event.preventDefault();
+  finish(null);
+});
@@ -0,0 +1,124 @@
+'use strict';
+import { DEFAULT_REPOSITORY } from './git-api.js';
+
+/** @typedef {import('./git-api.js').Repository} Repository */
+
+const REPOSITORIES_KEY = 'notig-repositories';
+const ACTIVE_REPOSITORY_KEY = 'notig-active-repository';
+
+/**
+ * @param {unknown} value
+ * @returns {value is Repository}
+ */
+function isRepository(value) {
+  if (!value || typeof value !== 'object') return false;
+  const repo = /** @type {Record<string, unknown>} */ (value);
+  return ['id', 'name', 'url', 'fsName', 'branch'].every(
+    (key) => typeof repo[key] === 'string' && repo[key]
+  );
+}
+
+/**
+ * @returns {Repository[]}
+ */
+export function loadRepositories() {
+  /** @type {Repository[]} */
+  let repositories = [];
+  try {
+    const parsed = JSON.parse(localStorage.getItem(REPOSITORIES_KEY) ?? '[]');
+    if (Array.isArray(parsed)) {
+      repositories = parsed.filter(isRepository);
+    }
+  } catch (err) {
+    console.warn('failed to read repositories', err);
+  }
+  if (!repositories.length) {
+    repositories = [{ ...DEFAULT_REPOSITORY }];
+  }
+  return repositories;
+}
+
+/**
+ * @param {Repository[]} repositories
+ */
+function saveRepositories(repositories) {
+  localStorage.setItem(REPOSITORIES_KEY, JSON.stringify(repositories));
+}
+
+/**
+ * @returns {Repository}
+ */
+export function getActiveRepository() {
+  const repositories = loadRepositories();
+  const activeId = localStorage.getItem(ACTIVE_REPOSITORY_KEY);
+  return repositories.find((repo) => repo.id === activeId) ?? repositories[0];
+}
+
+/**
+ * @param {string} id
+ * @returns {Repository}
+ */
+export function setActiveRepositoryId(id) {
+  const repository = loadRepositories().find((repo) => repo.id === id);
+  if (!repository) {
+    throw new Error(`Unknown repository: ${id}`);
+  }
+  localStorage.setItem(ACTIVE_REPOSITORY_KEY, repository.id);
+  return repository;
+}
+
+/**
+ * @param {{name: string; url: string; branch?: string}} fields
+ * @returns {Repository}
+ */
+export function addRepository(fields) {
+  const name = fields.name.trim();
+  const url = new URL(fields.url.trim(), window.location.origin).href;
+  const branch = fields.branch?.trim() || 'main';
+  if (!name) {
+    throw new Error('Repository name is required');
+  }
+  const id = crypto.randomUUID();
+  /** @type {Repository} */
+  const repository = { id, name, url, fsName: `notig-fs-${id}`, branch };
+  saveRepositories([...loadRepositories(), repository]);
+  return repository;
+}
+
+/**
+ * @param {string} id
+ * @param {Partial<Pick<Repository, 'name' | 'url' | 'branch'>>} patch
+ * @returns {Repository}
+ */
+export function updateRepository(id, patch) {
+  const repositories = loadRepositories();
+  const index = repositories.findIndex((repo) => repo.id === id);
+  if (index === -1) {
+    throw new Error(`Unknown repository: ${id}`);
+  }
+  const updated = { ...repositories[index], ...patch };
+  repositories[index] = updated;
+  saveRepositories(repositories);
+  return updated;
+}
+
+/**
+ * Forgets a repository and drops its local LightningFS database.
+ * @param {string} id
+ */
+export function removeRepository(id) {
+  const repositories = loadRepositories();
+  const target = repositories.find((repo) => repo.id === id);
+  if (!target) return;
+  if (repositories.length === 1) {
+    throw new Error('At least one repository is required');
+  }
+  saveRepositories(repositories.filter((repo) => repo.id !== id));
+  if (localStorage.getItem(ACTIVE_REPOSITORY_KEY) === id) {
+    localStorage.removeItem(ACTIVE_REPOSITORY_KEY);
+  }
+  if (globalThis.indexedDB) {
+    indexedDB.deleteDatabase(target.fsName);
+    indexedDB.deleteDatabase(`${target.fsName}_lock`);
+  }
+}
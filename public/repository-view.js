@@ -0,0 +1,104 @@
+'use strict';
+import {
+  getRequiredElement,
+  renderSelectOptions,
+  createActionButton,
+  reportError,
+} from './ui.js';
+import { loadRepositories, getActiveRepository } from './repositories.js';
+
+/**
+ * @typedef {import('./git-api.js').Repository} Repository
+ * @typedef {{
+ *   onSelect: (id: string) => Promise<void> | void;
+ *   onAdd: (fields: {name: string; url: string; branch: string}) => Promise<void> | void;
+ *   onRemove: (id: string) => Promise<void> | void;
+ * }} RepositoryHandlers
+ */
+
+/** @type {HTMLSelectElement} */
+export const repoSelectEl = getRequiredElement('repo-select');
+/** @type {HTMLButtonElement} */
+export const manageReposBtn = getRequiredElement('manage-repos');
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('repo-dialog');
+/** @type {HTMLUListElement} */
+const repoListEl = getRequiredElement('repo-list');
+/** @type {HTMLFormElement} */
+const repoFormEl = getRequiredElement('repo-form');
+/** @type {HTMLButtonElement} */
+const closeBtn = getRequiredElement('repo-dialog-close');
+
+/** @type {RepositoryHandlers | null} */
+let handlers = null;
+
+export function renderRepositorySelect() {
+  const activeId = getActiveRepository().id;
+  renderSelectOptions(
+    repoSelectEl,
+    loadRepositories().map((repo) => ({ value: repo.id, label: repo.name })),
+    { selectedValue: activeId }
+  );
+}
+
+function renderRepositoryList() {
+  const activeId = getActiveRepository().id;
+  repoListEl.innerHTML = '';
+  loadRepositories().forEach((repo) => {
+    const li = document.createElement('li');
+    li.classList.toggle('active', repo.id === activeId);
+    const infoEl = document.createElement('div');
+    infoEl.className = 'dialog-list-info';
+    const nameEl = document.createElement('div');
+    nameEl.className = 'dialog-list-title';
+    nameEl.textContent = repo.name;
+    const detailEl = document.createElement('div');
+    detailEl.className = 'dialog-list-detail';
+    detailEl.textContent = `${repo.url} (${repo.branch})`;
+    infoEl.append(nameEl, detailEl);
+    li.appendChild(infoEl);
+    const isActive = repo.id === activeId;
+    li.appendChild(
+      createActionButton(isActive ? 'Active' : 'Open', async () => {
+        dialogEl.close();
+        await handlers?.onSelect(repo.id);
+      }, isActive)
+    );
+    li.appendChild(
+      createActionButton('Remove', async () => {
+        await handlers?.onRemove(repo.id);
+        renderRepositoryList();
+      }, isActive)
+    );
+    repoListEl.appendChild(li);
+  });
+}
+
+/**
+ * @param {RepositoryHandlers} nextHandlers
+ */
+export function openRepositoryManager(nextHandlers) {
+  handlers = nextHandlers;
+  repoFormEl.reset();
+  renderRepositoryList();
+  dialogEl.showModal();
+}
+
+repoFormEl.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const data = new FormData(repoFormEl);
+  const fields = {
+    name: String(data.get('name') ?? ''),
+    url: String(data.get('url') ?? ''),
+    branch: String(data.get('branch') ?? ''),
+  };
+  Promise.resolve(handlers?.onAdd(fields))
+    .then(() => {
+      dialogEl.close();
+    })
+    .catch(reportError);
+});
+
+closeBtn.addEventListener('click', () => {
+  dialogEl.close();
+});
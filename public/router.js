@@ -0,0 +1,76 @@
+'use strict';
+import { createTagFilter, parseTagFilterParams, writeTagFilterParams } from './tag-filter.js';
+
+/**
+ * @typedef {import('./tag-filter.js').TagFilter} TagFilter
+ * @typedef {{
+ *   view: 'list' | 'note';
+ *   id: string | null;
+ *   rev: string | null;
+ *   tags: TagFilter;
+ * }} Route
+ */
+
+const NOTE_PATH_PATTERN = /^#\/note\/([^/]+)$/;
+const OID_PATTERN = /^[0-9a-f]{40}$/;
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {boolean}
+ */
+function hasTagFilterParams(params) {
+  return params.has('tag') || params.has('not') || params.has('mode');
+}
+
+/**
+ * Reads the view from a URL such as `#/note/<id>?rev=<oid>&tag=work`. Links
+ * that still carry the tag filter in the query string keep working.
+ * @param {string} href
+ * @returns {Route}
+ */
+export function parseRoute(href) {
+  const url = new URL(href);
+  const queryIndex = url.hash.indexOf('?');
+  const path = queryIndex === -1 ? url.hash : url.hash.slice(0, queryIndex);
+  const params = new URLSearchParams(queryIndex === -1 ? '' : url.hash.slice(queryIndex + 1));
+  const match = path.match(NOTE_PATH_PATTERN);
+  let id = null;
+  if (match) {
+    try {
+      id = decodeURIComponent(match[1]);
+    } catch (err) {
+      id = null;
+    }
+  }
+  const rev = params.get('rev');
+  return {
+    view: id ? 'note' : 'list',
+    id,
+    rev: id && rev && OID_PATTERN.test(rev) ? rev : null,
+    tags: parseTagFilterParams(hasTagFilterParams(params) ? params : url.searchParams),
+  };
+}
+
+/**
+ * Builds the URL for a route, keeping the path and any unrelated query
+ * parameters of `href`.
+ * @param {Route} route
+ * @param {string} href
+ * @returns {string}
+ */
+export function formatRoute(route, href) {
+  const url = new URL(href);
+  if (hasTagFilterParams(url.searchParams)) {
+    writeTagFilterParams(url.searchParams, createTagFilter());
+  }
+  const isNote = route.view === 'note' && Boolean(route.id);
+  const params = new URLSearchParams();
+  if (isNote && route.rev) {
+    params.set('rev', route.rev);
+  }
+  writeTagFilterParams(params, route.tags);
+  const query = params.toString();
+  const path = isNote ? `/note/${encodeURIComponent(String(route.id))}` : '/';
+  url.hash = !isNote && !query ? '' : `#${path}${query ? `?${query}` : ''}`;
+  return url.href;
+}
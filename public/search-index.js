@@ -0,0 +1,371 @@
+'use strict';
+import { openDatabase, requestToPromise, transactionDone } from './idb.js';
+import { parseNoteBody, getNoteTitle } from './note-utils.js';
+
+const DB_NAME = 'notig-search';
+const DB_VERSION = 1;
+const DOCS_STORE = 'docs';
+
+const FIELD_WEIGHTS = {
+  title: 8,
+  frontMatter: 3,
+  content: 1,
+};
+const PREFIX_MATCH_FACTOR = 0.5;
+const SNIPPET_RADIUS = 40;
+const WORD_PATTERN = new RegExp('[\\p{L}\\p{N}_]+', 'gu');
+
+/**
+ * @typedef {{id: string; hash: string; terms: Record<string, number>}} SearchDoc
+ * @typedef {{id: string; score: number}} SearchResult
+ */
+
+/** @type {Map<string, SearchDoc>} */
+const docs = new Map();
+/** @type {Map<string, Map<string, number>>} */
+const postings = new Map();
+/** @type {Promise<IDBDatabase | null> | null} */
+let dbPromise = null;
+/** @type {Promise<void> | null} */
+let loadPromise = null;
+let dbName = DB_NAME;
+
+/** @type {Intl.Segmenter | null} */
+const segmenter =
+  typeof Intl !== 'undefined' && 'Segmenter' in Intl
+    ? new Intl.Segmenter(undefined, { granularity: 'word' })
+    : null;
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const normalized = text.normalize('NFKC').toLowerCase();
+  if (segmenter) {
+    return Array.from(segmenter.segment(normalized))
+      .filter((segment) => segment.isWordLike)
+      .map((segment) => segment.segment);
+  }
+  return normalized.match(WORD_PATTERN) ?? [];
+}
+
+/**
+ * @param {string} body
+ * @returns {string}
+ */
+function hashBody(body) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < body.length; i += 1) {
+    hash ^= body.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${body.length}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * @param {{id: string; body: string}} note
+ * @returns {SearchDoc}
+ */
+function buildDoc(note) {
+  const parsed = parseNoteBody(note.body);
+  const fields = {
+    title: getNoteTitle(parsed),
+    frontMatter: parsed.frontMatterRaw ?? '',
+    content: parsed.content,
+  };
+  /** @type {Record<string, number>} */
+  const terms = {};
+  Object.entries(fields).forEach(([field, text]) => {
+    const weight = FIELD_WEIGHTS[field];
+    tokenize(text).forEach((term) => {
+      terms[term] = (terms[term] ?? 0) + weight;
+    });
+  });
+  return { id: note.id, hash: hashBody(note.body), terms };
+}
+
+/**
+ * @param {SearchDoc} doc
+ */
+function addPostings(doc) {
+  Object.entries(doc.terms).forEach(([term, weight]) => {
+    let entry = postings.get(term);
+    if (!entry) {
+      entry = new Map();
+      postings.set(term, entry);
+    }
+    entry.set(doc.id, weight);
+  });
+}
+
+/**
+ * @param {SearchDoc} doc
+ */
+function removePostings(doc) {
+  Object.keys(doc.terms).forEach((term) => {
+    const entry = postings.get(term);
+    if (!entry) return;
+    entry.delete(doc.id);
+    if (!entry.size) {
+      postings.delete(term);
+    }
+  });
+}
+
+/**
+ * @returns {Promise<IDBDatabase | null>}
+ */
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(dbName, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(DOCS_STORE)) {
+        db.createObjectStore(DOCS_STORE, { keyPath: 'id' });
+      }
+    }).catch((err) => {
+      console.warn('search index storage unavailable; using memory only', err);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * @param {string} repositoryId
+ * @returns {string}
+ */
+function getDatabaseName(repositoryId) {
+  return repositoryId === 'default' ? DB_NAME : `${DB_NAME}-${repositoryId}`;
+}
+
+/**
+ * Switches the index to another repository; each one keeps its own database.
+ * @param {string} repositoryId
+ */
+export function setSearchIndexScope(repositoryId) {
+  const nextName = getDatabaseName(repositoryId);
+  if (nextName === dbName) return;
+  const previous = dbPromise;
+  dbName = nextName;
+  dbPromise = null;
+  loadPromise = null;
+  docs.clear();
+  postings.clear();
+  if (previous) {
+    previous.then((db) => db?.close());
+  }
+}
+
+/**
+ * @param {string} repositoryId
+ */
+export function deleteSearchIndex(repositoryId) {
+  if (globalThis.indexedDB) {
+    indexedDB.deleteDatabase(getDatabaseName(repositoryId));
+  }
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+export function loadSearchIndex() {
+  if (!loadPromise) {
+    const scope = dbName;
+    loadPromise = (async () => {
+      const db = await getDatabase();
+      if (!db) return;
+      try {
+        const tx = db.transaction(DOCS_STORE, 'readonly');
+        /** @type {SearchDoc[]} */
+        const stored = await requestToPromise(tx.objectStore(DOCS_STORE).getAll());
+        if (scope !== dbName) return;
+        stored.forEach((doc) => {
+          if (docs.has(doc.id)) return;
+          docs.set(doc.id, doc);
+          addPostings(doc);
+        });
+      } catch (err) {
+        console.warn('failed to load search index', err);
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * @param {SearchDoc[]} changed
+ * @param {string[]} removed
+ */
+async function persist(changed, removed) {
+  if (!changed.length && !removed.length) return;
+  const db = await getDatabase();
+  if (!db) return;
+  try {
+    const tx = db.transaction(DOCS_STORE, 'readwrite');
+    const store = tx.objectStore(DOCS_STORE);
+    changed.forEach((doc) => store.put(doc));
+    removed.forEach((id) => store.delete(id));
+    await transactionDone(tx);
+  } catch (err) {
+    console.warn('failed to persist search index', err);
+  }
+}
+
+/**
+ * @param {{id: string; body: string}} note
+ * @returns {SearchDoc | null}
+ */
+function indexNote(note) {
+  const existing = docs.get(note.id);
+  if (existing && existing.hash === hashBody(note.body)) return null;
+  if (existing) {
+    removePostings(existing);
+  }
+  const doc = buildDoc(note);
+  docs.set(doc.id, doc);
+  addPostings(doc);
+  return doc;
+}
+
+/**
+ * Re-indexes notes whose body changed and drops notes that no longer exist.
+ * @param {{id: string; body: string}[]} notes
+ */
+export async function syncSearchIndex(notes) {
+  await loadSearchIndex();
+  const seen = new Set();
+  /** @type {SearchDoc[]} */
+  const changed = [];
+  notes.forEach((note) => {
+    seen.add(note.id);
+    const doc = indexNote(note);
+    if (doc) {
+      changed.push(doc);
+    }
+  });
+  /** @type {string[]} */
+  const removed = [];
+  docs.forEach((doc, id) => {
+    if (seen.has(id)) return;
+    removePostings(doc);
+    docs.delete(id);
+    removed.push(id);
+  });
+  await persist(changed, removed);
+}
+
+/**
+ * @param {{id: string; body: string}} note
+ */
+export async function updateSearchIndex(note) {
+  await loadSearchIndex();
+  const doc = indexNote(note);
+  if (doc) {
+    await persist([doc], []);
+  }
+}
+
+/**
+ * @param {string} id
+ */
+export async function removeFromSearchIndex(id) {
+  await loadSearchIndex();
+  const doc = docs.get(id);
+  if (!doc) return;
+  removePostings(doc);
+  docs.delete(id);
+  await persist([], [id]);
+}
+
+/**
+ * @param {string} query
+ * @returns {SearchResult[]}
+ */
+export function searchNotes(query) {
+  const queryTokens = Array.from(new Set(tokenize(query)));
+  if (!queryTokens.length) return [];
+
+  /** @type {Map<string, number> | null} */
+  let scores = null;
+  for (const token of queryTokens) {
+    /** @type {Map<string, number>} */
+    const tokenScores = new Map();
+    postings.forEach((entry, term) => {
+      if (!term.startsWith(token)) return;
+      const factor = term === token ? 1 : PREFIX_MATCH_FACTOR;
+      entry.forEach((weight, id) => {
+        tokenScores.set(id, (tokenScores.get(id) ?? 0) + weight * factor);
+      });
+    });
+    if (!scores) {
+      scores = tokenScores;
+    } else {
+      /** @type {Map<string, number>} */
+      const next = new Map();
+      scores.forEach((score, id) => {
+        const tokenScore = tokenScores.get(id);
+        if (typeof tokenScore === 'number') {
+          next.set(id, score + tokenScore);
+        }
+      });
+      scores = next;
+    }
+    if (!scores.size) return [];
+  }
+
+  return Array.from(scores ?? [], ([id, score]) => ({ id, score })).sort(
+    (a, b) => b.score - a.score
+  );
+}
+
+/**
+ * Splits text into plain and matched segments for highlighting.
+ * @param {string} text
+ * @param {string[]} tokens
+ * @returns {{text: string; match: boolean}[]}
+ */
+export function getHighlightSegments(text, tokens) {
+  const patterns = tokens
+    .filter(Boolean)
+    .map((token) => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!patterns.length) return [{ text, match: false }];
+  const regex = new RegExp(`(${patterns.join('|')})`, 'giu');
+  /** @type {{text: string; match: boolean}[]} */
+  const segments = [];
+  let lastIndex = 0;
+  Array.from(text.matchAll(regex)).forEach((found) => {
+    const index = found.index ?? 0;
+    if (index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, index), match: false });
+    }
+    segments.push({ text: text.slice(index, index + found[0].length), match: true });
+    lastIndex = index + found[0].length;
+  });
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+}
+
+/**
+ * @param {string} content
+ * @param {string[]} tokens
+ * @returns {string}
+ */
+export function getSearchSnippet(content, tokens) {
+  const flattened = content.replace(/\s+/g, ' ').trim();
+  const lower = flattened.toLowerCase();
+  let index = -1;
+  for (const token of tokens) {
+    const found = lower.indexOf(token);
+    if (found !== -1 && (index === -1 || found < index)) {
+      index = found;
+    }
+  }
+  if (index === -1) return '';
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(flattened.length, index + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < flattened.length ? '…' : '';
+  return `${prefix}${flattened.slice(start, end)}${suffix}`;
+}
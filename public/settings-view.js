@@ -0,0 +1,81 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+
+/** @typedef {Record<string, string | boolean>} SettingsValues */
+
+/** @type {HTMLButtonElement} */
+export const settingsBtn = getRequiredElement('open-settings');
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('settings-dialog');
+/** @type {HTMLFormElement} */
+const formEl = getRequiredElement('settings-form');
+/** @type {HTMLButtonElement} */
+const cancelBtn = getRequiredElement('settings-cancel');
+
+/** @type {((values: SettingsValues | null) => void) | null} */
+let settle = null;
+
+/**
+ * @returns {(HTMLInputElement | HTMLSelectElement)[]}
+ */
+function getFields() {
+  return Array.from(formEl.querySelectorAll('input[name], select[name]'));
+}
+
+/**
+ * @param {SettingsValues | null} values
+ */
+function finish(values) {
+  const done = settle;
+  settle = null;
+  if (dialogEl.open) {
+    dialogEl.close();
+  }
+  if (done) {
+    done(values);
+  }
+}
+
+/**
+ * Fills the settings form by field name and resolves with the edited values,
+ * or `null` when the dialog is dismissed.
+ * @param {SettingsValues} values
+ * @returns {Promise<SettingsValues | null>}
+ */
+export function openSettingsDialog(values) {
+  if (settle) {
+    finish(null);
+  }
+  getFields().forEach((field) => {
+    const value = values[field.name];
+    if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+      field.checked = Boolean(value);
+      return;
+    }
+    field.value = typeof value === 'string' ? value : '';
+  });
+  return new Promise((resolve) => {
+    settle = resolve;
+    dialogEl.showModal();
+  });
+}
+
+formEl.addEventListener('submit', (event) => {
+  event.preventDefault();
+  /** @type {SettingsValues} */
+  const values = {};
+  getFields().forEach((field) => {
+    if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+      values[field.name] = field.checked;
+      return;
+    }
+    values[field.name] = field.value.trim();
+  });
+  finish(values);
+});
+
+cancelBtn.addEventListener('click', () => finish(null));
+dialogEl.addEventListener('cancel', (event) => {
+  event.preventDefault();
+  finish(null);
+});
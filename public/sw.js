@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * @typedef {Event & {waitUntil: (promise: Promise<unknown>) => void}} ExtendableEvent
+ * @typedef {ExtendableEvent & {
+ *   request: Request;
+ *   clientId: string;
+ *   respondWith: (response: Promise<Response>) => void;
+ * }} FetchEvent
+ * @typedef {{id: string; postMessage: (message: unknown, transfer: Transferable[]) => void}} WindowClient
+ * @typedef {{
+ *   addEventListener: ((type: 'install' | 'activate', listener: (event: ExtendableEvent) => void) => void) &
+ *     ((type: 'fetch', listener: (event: FetchEvent) => void) => void);
+ *   skipWaiting: () => Promise<void>;
+ *   clients: {
+ *     claim: () => Promise<void>;
+ *     get: (id: string) => Promise<WindowClient | undefined>;
+ *     matchAll: (options?: {type?: 'window'}) => Promise<WindowClient[]>;
+ *   };
+ *   location: Location;
+ * }} ServiceWorkerScope
+ */
+
+const sw = /** @type {ServiceWorkerScope} */ (/** @type {unknown} */ (self));
+
+// Bump whenever SHELL_FILES or MODULE_URLS change so old caches are dropped.
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `notig-shell-${CACHE_VERSION}`;
+const MODULE_CACHE = `notig-modules-${CACHE_VERSION}`;
+const BLOB_CACHE = `notig-blobs-${CACHE_VERSION}`;
+const CACHE_NAMES = [SHELL_CACHE, MODULE_CACHE, BLOB_CACHE];
+
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './style.css',
+  './manifest.webmanifest',
+  './icon.bmp',
+  './icon-192.png',
+  './icon-512.png',
+  './app.js',
+  './attachments-view.js',
+  './attachments.js',
+  './auth-view.js',
+  './auto-sync.js',
+  './credentials.js',
+  './diff-utils.js',
+  './diff-view.js',
+  './draft-view.js',
+  './drafts.js',
+  './folder-view.js',
+  './folders.js',
+  './front-matter-view.js',
+  './git-api.js',
+  './idb.js',
+  './import-view.js',
+  './merge-view.js',
+  './note-utils.js',
+  './notebook-archive.js',
+  './repositories.js',
+  './repository-view.js',
+  './router.js',
+  './search-index.js',
+  './settings-view.js',
+  './tag-filter.js',
+  './tag-manager-view.js',
+  './tag-tree-view.js',
+  './trash-view.js',
+  './push-view.js',
+  './ui.js',
+  './wiki-links.js',
+];
+
+// Every URL carries an exact version: module responses are cached forever, so
+// an unpinned entry would never pick up a new release.
+const MODULE_URLS = [
+  'https://esm.sh/@toast-ui/editor@3.2.2',
+  'https://esm.sh/@isomorphic-git/lightning-fs@4.6.0',
+  'https://esm.sh/isomorphic-git@1.43.0',
+  'https://esm.sh/isomorphic-git@1.43.0/http/web',
+  'https://esm.sh/buffer@6.0.3',
+  'https://esm.sh/fflate@0.8.2',
+  'https://esm.sh/yaml@2.6.1',
+  'https://cdn.jsdelivr.net/npm/@toast-ui/editor@3.2.2/dist/toastui-editor.min.css',
+  'https://cdn.jsdelivr.net/npm/@toast-ui/editor@3.2.2/dist/theme/toastui-editor-dark.min.css',
+];
+const MODULE_HOSTS = ['esm.sh', 'cdn.jsdelivr.net'];
+
+const ATTACHMENT_TIMEOUT_MS = 10000;
+const ATTACHMENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  mp4: 'video/mp4',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  zip: 'application/zip',
+  txt: 'text/plain; charset=utf-8',
+};
+
+/**
+ * @returns {Promise<void>}
+ */
+async function precache() {
+  const shell = await caches.open(SHELL_CACHE);
+  await shell.addAll(SHELL_FILES);
+  const modules = await caches.open(MODULE_CACHE);
+  // Best effort: a CDN hiccup should not keep the app shell from installing.
+  await Promise.all(
+    MODULE_URLS.map((url) =>
+      modules.add(new Request(url, { mode: 'cors' })).catch((err) => {
+        console.warn('failed to precache', url, err);
+      })
+    )
+  );
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+async function removeStaleCaches() {
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith('notig-') && !CACHE_NAMES.includes(name))
+      .map((name) => caches.delete(name))
+  );
+}
+
+/**
+ * App files change with every deploy, so the network wins while it is
+ * reachable.
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    if (request.mode === 'navigate') {
+      const index = await caches.match('./index.html', { cacheName: SHELL_CACHE });
+      if (index) return index;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Third-party modules are pinned to exact versions and `/blobs/sha256/` files
+ * are named after their content, so a cached copy is always good enough.
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Attachments committed to the repository only exist in the page's
+ * LightningFS, so the page reads them and answers over a MessageChannel.
+ * Pointer files come back as a redirect to the blob store.
+ * @param {FetchEvent} event
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+async function fromRepository(event, url) {
+  const client =
+    (event.clientId && (await sw.clients.get(event.clientId))) ||
+    (await sw.clients.matchAll({ type: 'window' }))[0];
+  if (!client) {
+    return new Response('notig is not open', { status: 503 });
+  }
+  const channel = new MessageChannel();
+  /** @type {Promise<{status: number; body?: BodyInit; location?: string}>} */
+  const reply = new Promise((resolve) => {
+    const timer = setTimeout(() => resolve({ status: 504 }), ATTACHMENT_TIMEOUT_MS);
+    channel.port1.onmessage = (message) => {
+      clearTimeout(timer);
+      resolve(message.data);
+    };
+  });
+  client.postMessage({ type: 'notig:attachment', pathname: url.pathname }, [channel.port2]);
+  const result = await reply;
+  if (result.status === 302 && result.location) {
+    return Response.redirect(new URL(result.location, sw.location.origin).href, 302);
+  }
+  if (result.status !== 200 || !result.body) {
+    return new Response('attachment not found', { status: result.status === 200 ? 404 : result.status });
+  }
+  const ext = url.pathname.slice(url.pathname.lastIndexOf('.') + 1).toLowerCase();
+  const type = /** @type {Record<string, string>} */ (ATTACHMENT_TYPES)[ext];
+  // Repository files never passed the server's type checks; serve them like /blobs/.
+  return new Response(result.body, {
+    headers: {
+      'Content-Type': type || 'application/octet-stream',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+    },
+  });
+}
+
+sw.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => sw.skipWaiting()));
+});
+
+sw.addEventListener('activate', (event) => {
+  event.waitUntil(removeStaleCaches().then(() => sw.clients.claim()));
+});
+
+sw.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (MODULE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, MODULE_CACHE));
+    return;
+  }
+  if (url.origin !== sw.location.origin) return;
+  // Git traffic must always reach the server; isomorphic-git handles offline.
+  if (url.pathname.startsWith('/git/')) return;
+  if (url.pathname.startsWith('/blobs/sha256/')) {
+    event.respondWith(cacheFirst(request, BLOB_CACHE));
+    return;
+  }
+  if (url.pathname.startsWith('/blobs/')) {
+    event.respondWith(networkFirst(request, BLOB_CACHE));
+    return;
+  }
+  if (url.pathname.startsWith('/attachments/')) {
+    event.respondWith(fromRepository(event, url));
+    return;
+  }
+  event.respondWith(networkFirst(request, SHELL_CACHE));
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+const TAG_SEPARATOR = '/';
+
+/**
+ * `include` tags are combined with `mode`; any `exclude` tag hides a note.
+ * A tag also matches its descendants, so `project` covers `project/alpha`.
+ * @typedef {{include: string[]; exclude: string[]; mode: 'and' | 'or'}} TagFilter
+ * @typedef {{name: string; path: string; count: number; children: TagTreeNode[]}} TagTreeNode
+ */
+
+/**
+ * @returns {TagFilter}
+ */
+export function createTagFilter() {
+  return { include: [], exclude: [], mode: 'and' };
+}
+
+/**
+ * @param {TagFilter} filter
+ * @returns {boolean}
+ */
+export function isTagFilterActive(filter) {
+  return filter.include.length > 0 || filter.exclude.length > 0;
+}
+
+/**
+ * Normalizes a nested tag: trims each segment and drops empty ones.
+ * @param {string} tag
+ * @returns {string}
+ */
+export function normalizeTagPath(tag) {
+  return tag
+    .split(TAG_SEPARATOR)
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+/**
+ * @param {string} tag
+ * @returns {string[]} the tag and every ancestor, e.g. `a`, `a/b`, `a/b/c`
+ */
+export function getTagAncestors(tag) {
+  const segments = normalizeTagPath(tag).split(TAG_SEPARATOR).filter(Boolean);
+  return segments.map((_, index) => segments.slice(0, index + 1).join(TAG_SEPARATOR));
+}
+
+/**
+ * @param {string[]} noteTags
+ * @param {string} filterTag
+ * @returns {boolean}
+ */
+function hasTag(noteTags, filterTag) {
+  return noteTags.some(
+    (tag) => tag === filterTag || tag.startsWith(`${filterTag}${TAG_SEPARATOR}`)
+  );
+}
+
+/**
+ * @param {string[]} tags
+ * @param {TagFilter} filter
+ * @returns {boolean}
+ */
+export function matchesTagFilter(tags, filter) {
+  const noteTags = tags.map(normalizeTagPath);
+  if (filter.exclude.some((tag) => hasTag(noteTags, tag))) return false;
+  if (!filter.include.length) return true;
+  return filter.mode === 'or'
+    ? filter.include.some((tag) => hasTag(noteTags, tag))
+    : filter.include.every((tag) => hasTag(noteTags, tag));
+}
+
+/**
+ * Builds the sidebar tree; each node counts the notes tagged with it or
+ * with one of its descendants. `pinnedTags` (e.g. filter tags no note uses
+ * any more) get a node with a zero count so they can still be cleared.
+ * @param {string[][]} tagsByNote
+ * @param {string[]} [pinnedTags]
+ * @returns {TagTreeNode[]}
+ */
+export function buildTagTree(tagsByNote, pinnedTags = []) {
+  /** @type {TagTreeNode} */
+  const root = { name: '', path: '', count: 0, children: [] };
+  /** @type {Map<string, TagTreeNode>} */
+  const nodesByPath = new Map();
+  /**
+   * @param {string} path
+   * @returns {TagTreeNode}
+   */
+  const ensureNode = (path) => {
+    let node = nodesByPath.get(path);
+    if (!node) {
+      const index = path.lastIndexOf(TAG_SEPARATOR);
+      const parent = index === -1 ? root : ensureNode(path.slice(0, index));
+      node = { name: path.slice(index + 1), path, count: 0, children: [] };
+      parent.children.push(node);
+      nodesByPath.set(path, node);
+    }
+    return node;
+  };
+  tagsByNote.forEach((tags) => {
+    /** @type {Set<string>} */
+    const paths = new Set();
+    tags.forEach((tag) => {
+      getTagAncestors(tag).forEach((path) => paths.add(path));
+    });
+    paths.forEach((path) => {
+      ensureNode(path).count += 1;
+    });
+  });
+  pinnedTags.forEach((tag) => {
+    const path = normalizeTagPath(tag);
+    if (path) {
+      ensureNode(path);
+    }
+  });
+  /**
+   * @param {TagTreeNode[]} nodes
+   */
+  const sortNodes = (nodes) => {
+    nodes.sort((a, b) => a.name.localeCompare(b.name));
+    nodes.forEach((node) => sortNodes(node.children));
+  };
+  sortNodes(root.children);
+  return root.children;
+}
+
+/**
+ * Renames `from` and the tags nested under it: `a` → `b` turns `a/x` into `b/x`.
+ * @param {string} tag
+ * @param {string} from
+ * @param {string} to
+ * @returns {string} the tag unchanged when it is not `from` or below it
+ */
+export function renameTagPath(tag, from, to) {
+  const path = normalizeTagPath(tag);
+  if (path === from) return to;
+  if (path.startsWith(`${from}${TAG_SEPARATOR}`)) {
+    return `${to}${path.slice(from.length)}`;
+  }
+  return tag;
+}
+
+/**
+ * @param {TagFilter} filter
+ * @param {(tag: string) => string | null} mapTag
+ * @returns {TagFilter}
+ */
+export function mapTagFilter(filter, mapTag) {
+  /**
+   * @param {string[]} tags
+   * @returns {string[]}
+   */
+  const mapList = (tags) =>
+    Array.from(new Set(tags.map(mapTag).filter((tag) => typeof tag === 'string')));
+  return { ...filter, include: mapList(filter.include), exclude: mapList(filter.exclude) };
+}
+
+/**
+ * Cycles a tag through include → exclude → off.
+ * @param {TagFilter} filter
+ * @param {string} tag
+ * @returns {TagFilter}
+ */
+export function cycleTagFilter(filter, tag) {
+  const include = filter.include.filter((entry) => entry !== tag);
+  const exclude = filter.exclude.filter((entry) => entry !== tag);
+  if (filter.include.includes(tag)) {
+    exclude.push(tag);
+  } else if (!filter.exclude.includes(tag)) {
+    include.push(tag);
+  }
+  return { ...filter, include, exclude };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {TagFilter}
+ */
+export function readTagFilter(value) {
+  const filter = createTagFilter();
+  if (!value || typeof value !== 'object') return filter;
+  const source = /** @type {Record<string, unknown>} */ (value);
+  /**
+   * @param {unknown} list
+   * @returns {string[]}
+   */
+  const readList = (list) =>
+    Array.isArray(list)
+      ? list.filter((tag) => typeof tag === 'string').map(normalizeTagPath).filter(Boolean)
+      : [];
+  filter.include = readList(source.include);
+  filter.exclude = readList(source.exclude);
+  filter.mode = source.mode === 'or' ? 'or' : 'and';
+  return filter;
+}
+
+/**
+ * Reads `?tag=a&tag=b&not=c&mode=or`.
+ * @param {URLSearchParams} params
+ * @returns {TagFilter}
+ */
+export function parseTagFilterParams(params) {
+  return readTagFilter({
+    include: params.getAll('tag'),
+    exclude: params.getAll('not'),
+    mode: params.get('mode'),
+  });
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @param {TagFilter} filter
+ */
+export function writeTagFilterParams(params, filter) {
+  params.delete('tag');
+  params.delete('not');
+  params.delete('mode');
+  filter.include.forEach((tag) => params.append('tag', tag));
+  filter.exclude.forEach((tag) => params.append('not', tag));
+  if (filter.mode === 'or') {
+    params.set('mode', 'or');
+  }
+}
@@ -0,0 +1,107 @@
+'use strict';
+import {
+  getRequiredElement,
+  renderSelectOptions,
+  createActionButton,
+  reportError,
+} from './ui.js';
+
+/**
+ * @typedef {{tag: string; count: number}} TagUsage
+ * @typedef {{
+ *   getTags: () => TagUsage[];
+ *   onRename: (from: string, to: string) => Promise<void> | void;
+ *   onDelete: (tag: string) => Promise<void> | void;
+ * }} TagManagerHandlers
+ */
+
+/** @type {HTMLButtonElement} */
+export const manageTagsBtn = getRequiredElement('manage-tags');
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('tag-dialog');
+/** @type {HTMLUListElement} */
+const tagListEl = getRequiredElement('tag-manager-list');
+/** @type {HTMLFormElement} */
+const renameFormEl = getRequiredElement('tag-rename-form');
+/** @type {HTMLSelectElement} */
+const fromSelectEl = getRequiredElement('tag-rename-from');
+/** @type {HTMLInputElement} */
+const toInputEl = getRequiredElement('tag-rename-to');
+/** @type {HTMLDataListElement} */
+const tagOptionsEl = getRequiredElement('tag-manager-options');
+/** @type {HTMLButtonElement} */
+const closeBtn = getRequiredElement('tag-dialog-close');
+
+/** @type {TagManagerHandlers | null} */
+let handlers = null;
+
+function renderTagList() {
+  const tags = handlers ? handlers.getTags() : [];
+  const selected = fromSelectEl.value;
+  tagListEl.innerHTML = '';
+  tagOptionsEl.innerHTML = '';
+  tags.forEach(({ tag, count }) => {
+    const li = document.createElement('li');
+    const infoEl = document.createElement('div');
+    infoEl.className = 'dialog-list-info';
+    const nameEl = document.createElement('div');
+    nameEl.className = 'dialog-list-title';
+    nameEl.textContent = tag;
+    const detailEl = document.createElement('div');
+    detailEl.className = 'dialog-list-detail';
+    detailEl.textContent = `${count} ${count === 1 ? 'note' : 'notes'}`;
+    infoEl.append(nameEl, detailEl);
+    li.appendChild(infoEl);
+    li.appendChild(
+      createActionButton('Rename', () => {
+        fromSelectEl.value = tag;
+        toInputEl.value = tag;
+        toInputEl.focus();
+        toInputEl.select();
+      })
+    );
+    li.appendChild(
+      createActionButton('Delete', async () => {
+        await handlers?.onDelete(tag);
+        renderTagList();
+      })
+    );
+    tagListEl.appendChild(li);
+
+    const option = document.createElement('option');
+    option.value = tag;
+    tagOptionsEl.appendChild(option);
+  });
+  renderSelectOptions(
+    fromSelectEl,
+    tags.map(({ tag }) => ({ value: tag, label: tag })),
+    { emptyMessage: 'No tags', selectedValue: selected }
+  );
+}
+
+/**
+ * @param {TagManagerHandlers} nextHandlers
+ */
+export function openTagManager(nextHandlers) {
+  handlers = nextHandlers;
+  renameFormEl.reset();
+  renderTagList();
+  dialogEl.showModal();
+}
+
+renameFormEl.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const from = fromSelectEl.value;
+  const to = toInputEl.value.trim();
+  if (!from || !to || from === to) return;
+  Promise.resolve(handlers?.onRename(from, to))
+    .then(() => {
+      renameFormEl.reset();
+      renderTagList();
+    })
+    .catch(reportError);
+});
+
+closeBtn.addEventListener('click', () => {
+  dialogEl.close();
+});
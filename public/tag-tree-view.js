@@ -0,0 +1,143 @@
+'use strict';
+import { getRequiredElement } from './ui.js';
+import {
+  createTagFilter,
+  cycleTagFilter,
+  getTagAncestors,
+  isTagFilterActive,
+} from './tag-filter.js';
+
+/**
+ * @typedef {import('./tag-filter.js').TagFilter} TagFilter
+ * @typedef {import('./tag-filter.js').TagTreeNode} TagTreeNode
+ */
+
+/** @type {HTMLElement} */
+const sectionEl = getRequiredElement('tag-section');
+/** @type {HTMLUListElement} */
+const treeEl = getRequiredElement('tag-tree');
+/** @type {HTMLSelectElement} */
+const modeSelectEl = getRequiredElement('tag-filter-mode');
+/** @type {HTMLButtonElement} */
+const clearBtn = getRequiredElement('tag-filter-clear');
+
+/** @type {((filter: TagFilter) => void) | null} */
+let onChange = null;
+/** @type {TagFilter} */
+let currentFilter = createTagFilter();
+/** @type {TagTreeNode[]} */
+let currentNodes = [];
+/** @type {Set<string>} */
+const expandedPaths = new Set();
+
+/**
+ * @param {TagFilter} filter
+ */
+function emitChange(filter) {
+  if (onChange) {
+    onChange(filter);
+  }
+}
+
+/**
+ * @param {TagTreeNode} node
+ * @returns {HTMLLIElement}
+ */
+function renderNode(node) {
+  const li = document.createElement('li');
+  li.setAttribute('role', 'treeitem');
+  const row = document.createElement('div');
+  row.className = 'tag-node';
+
+  const hasChildren = node.children.length > 0;
+  const isExpanded = hasChildren && expandedPaths.has(node.path);
+  const expander = document.createElement('button');
+  expander.type = 'button';
+  expander.className = 'tag-expander';
+  if (hasChildren) {
+    expander.textContent = isExpanded ? '▾' : '▸';
+    expander.setAttribute('aria-label', `${isExpanded ? 'Collapse' : 'Expand'} ${node.path}`);
+    li.setAttribute('aria-expanded', String(isExpanded));
+    expander.addEventListener('click', () => {
+      if (expandedPaths.has(node.path)) {
+        expandedPaths.delete(node.path);
+      } else {
+        expandedPaths.add(node.path);
+      }
+      renderTagTree(currentNodes, currentFilter);
+    });
+  } else {
+    expander.disabled = true;
+    expander.tabIndex = -1;
+  }
+
+  const isIncluded = currentFilter.include.includes(node.path);
+  const isExcluded = currentFilter.exclude.includes(node.path);
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'tag-toggle';
+  toggle.classList.toggle('is-included', isIncluded);
+  toggle.classList.toggle('is-excluded', isExcluded);
+  toggle.title = `${node.path} (click: include → exclude → off)`;
+  const labelEl = document.createElement('span');
+  labelEl.className = 'tag-name';
+  labelEl.textContent = `${isIncluded ? '+' : isExcluded ? '−' : ''}${node.name}`;
+  const countEl = document.createElement('span');
+  countEl.className = 'tag-count';
+  countEl.textContent = String(node.count);
+  toggle.append(labelEl, countEl);
+  toggle.addEventListener('click', () => {
+    emitChange(cycleTagFilter(currentFilter, node.path));
+  });
+
+  row.append(expander, toggle);
+  li.appendChild(row);
+  if (isExpanded) {
+    const childList = document.createElement('ul');
+    childList.setAttribute('role', 'group');
+    node.children.forEach((child) => {
+      childList.appendChild(renderNode(child));
+    });
+    li.appendChild(childList);
+  }
+  return li;
+}
+
+/**
+ * @param {{onChange: (filter: TagFilter) => void}} handlers
+ */
+export function setTagTreeHandlers(handlers) {
+  onChange = handlers.onChange;
+}
+
+/**
+ * Renders the nested tags, expanding the ancestors of newly filtered tags.
+ * @param {TagTreeNode[]} nodes
+ * @param {TagFilter} filter
+ */
+export function renderTagTree(nodes, filter) {
+  if (filter !== currentFilter) {
+    [...filter.include, ...filter.exclude].forEach((tag) => {
+      getTagAncestors(tag)
+        .slice(0, -1)
+        .forEach((path) => expandedPaths.add(path));
+    });
+  }
+  currentNodes = nodes;
+  currentFilter = filter;
+  sectionEl.hidden = !nodes.length;
+  treeEl.innerHTML = '';
+  nodes.forEach((node) => {
+    treeEl.appendChild(renderNode(node));
+  });
+  modeSelectEl.value = filter.mode;
+  clearBtn.disabled = !isTagFilterActive(filter);
+}
+
+modeSelectEl.addEventListener('change', () => {
+  emitChange({ ...currentFilter, mode: modeSelectEl.value === 'or' ? 'or' : 'and' });
+});
+
+clearBtn.addEventListener('click', () => {
+  emitChange({ ...createTagFilter(), mode: currentFilter.mode });
+});
@@ -0,0 +1,89 @@
+'use strict';
+import { getRequiredElement, createActionButton } from './ui.js';
+import { formatUpdatedAt } from './note-utils.js';
+
+/**
+ * @typedef {{id: string; title: string; body: string; deletedAt: number}} TrashEntry
+ * @typedef {{
+ *   load: () => Promise<TrashEntry[]>;
+ *   onRestore: (entry: TrashEntry) => Promise<void> | void;
+ * }} TrashHandlers
+ */
+
+/** @type {HTMLButtonElement} */
+export const trashBtn = getRequiredElement('open-trash');
+/** @type {HTMLDialogElement} */
+const dialogEl = getRequiredElement('trash-dialog');
+/** @type {HTMLElement} */
+const messageEl = getRequiredElement('trash-message');
+/** @type {HTMLUListElement} */
+const trashListEl = getRequiredElement('trash-list');
+/** @type {HTMLPreElement} */
+const previewEl = getRequiredElement('trash-preview');
+/** @type {HTMLButtonElement} */
+const closeBtn = getRequiredElement('trash-dialog-close');
+
+/** @type {TrashHandlers | null} */
+let handlers = null;
+
+/**
+ * @param {TrashEntry[]} entries
+ */
+function renderTrashList(entries) {
+  trashListEl.innerHTML = '';
+  messageEl.textContent = entries.length ? '' : 'No deleted notes.';
+  entries.forEach((entry) => {
+    const li = document.createElement('li');
+    const infoEl = document.createElement('div');
+    infoEl.className = 'dialog-list-info';
+    const titleEl = document.createElement('div');
+    titleEl.className = 'dialog-list-title';
+    titleEl.textContent = entry.title;
+    const detailEl = document.createElement('div');
+    detailEl.className = 'dialog-list-detail';
+    detailEl.textContent = `Deleted ${formatUpdatedAt(entry.deletedAt)}`;
+    infoEl.append(titleEl, detailEl);
+    li.appendChild(infoEl);
+    li.appendChild(
+      createActionButton('Show', () => {
+        previewEl.textContent = entry.body;
+        previewEl.hidden = false;
+      })
+    );
+    li.appendChild(
+      createActionButton('Restore', async () => {
+        await handlers?.onRestore(entry);
+        dialogEl.close();
+      })
+    );
+    trashListEl.appendChild(li);
+  });
+}
+
+/**
+ * Opens the trash and fills it once the history walk finishes.
+ * @param {TrashHandlers} nextHandlers
+ */
+export function openTrash(nextHandlers) {
+  handlers = nextHandlers;
+  trashListEl.innerHTML = '';
+  previewEl.textContent = '';
+  previewEl.hidden = true;
+  messageEl.textContent = 'Loading…';
+  dialogEl.showModal();
+  nextHandlers
+    .load()
+    .then((entries) => {
+      if (handlers === nextHandlers) {
+        renderTrashList(entries);
+      }
+    })
+    .catch((err) => {
+      console.error(err);
+      messageEl.textContent = 'Failed to read the history.';
+    });
+}
+
+closeBtn.addEventListener('click', () => {
+  dialogEl.close();
+});
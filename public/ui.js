@@ -5,13 +5,14 @@ import {
   getNoteTags,
   getUpdatedAtGroupLabel,
 } from './note-utils.js';
+import { getHighlightSegments, getSearchSnippet } from './search-index.js';
 
 /**
  * @template {HTMLElement} T
  * @param {string} id
  * @returns {T}
  */
-function getRequiredElement(id) {
+export function getRequiredElement(id) {
   const el = document.getElementById(id);
   if (!el) {
     throw new Error(`Missing element: ${id}`);
@@ -42,10 +43,18 @@ export const emptyCloneBtn = getRequiredElement('empty-clone');
 export const deleteBtn = getRequiredElement('delete');
 /** @type {HTMLButtonElement} */
 export const newBtn = getRequiredElement('new-note');
-/** @type {HTMLSelectElement} */
-export const tagFilterEl = getRequiredElement('tag-filter');
+/** @type {HTMLInputElement} */
+export const searchInputEl = getRequiredElement('note-search');
 /** @type {HTMLSelectElement} */
 export const historySelectEl = getRequiredElement('history-select');
+/** @type {HTMLButtonElement} */
+export const historyDiffBtn = getRequiredElement('history-diff');
+/** @type {HTMLButtonElement} */
+export const historyRestoreBtn = getRequiredElement('history-restore');
+/** @type {HTMLElement} */
+export const backlinksEl = getRequiredElement('backlinks');
+/** @type {HTMLUListElement} */
+const backlinksListEl = getRequiredElement('backlinks-list');
 export const mobileMedia = window.matchMedia('(max-width: 1024px)');
 export const coarsePointerMedia = window.matchMedia('(pointer: coarse)');
 export const colorSchemeMedia = window.matchMedia('(prefers-color-scheme: dark)');
@@ -140,18 +149,46 @@ export function setEditorReadOnly(readOnly) {
   });
 }
 
+/**
+ * @param {HTMLElement} target
+ * @param {string} text
+ * @param {string[]} tokens
+ */
+function appendHighlightedText(target, text, tokens) {
+  getHighlightSegments(text, tokens).forEach((segment) => {
+    if (!segment.match) {
+      target.appendChild(document.createTextNode(segment.text));
+      return;
+    }
+    const markEl = document.createElement('mark');
+    markEl.textContent = segment.text;
+    target.appendChild(markEl);
+  });
+}
+
 /**
  * @param {{id: string; body: string; updatedAt?: number}[]} notes
  * @param {string | null} currentId
  * @param {(note: {id: string; body: string; updatedAt?: number}) => Promise<void> | void} onOpenNote
  * @param {Record<string, {diffFromOrigin?: boolean; locallyCommitted?: boolean}>} [noteMarkers]
+ * @param {{searchTokens?: string[]}} [options]
  */
-export function renderNotes(notes, currentId, onOpenNote, noteMarkers = {}) {
+export function renderNotes(notes, currentId, onOpenNote, noteMarkers = {}, options = {}) {
   listEl.innerHTML = '';
+  const searchTokens = options.searchTokens ?? [];
+  const isSearching = searchTokens.length > 0;
+  if (isSearching && !notes.length) {
+    const emptyEl = document.createElement('li');
+    emptyEl.className = 'note-group';
+    emptyEl.dataset.role = 'group';
+    emptyEl.textContent = 'No matches';
+    listEl.appendChild(emptyEl);
+    return;
+  }
   let currentGroupLabel = '';
   notes.forEach((note) => {
     const groupLabel = getUpdatedAtGroupLabel(note.updatedAt);
-    if (groupLabel !== currentGroupLabel) {
+    if (!isSearching && groupLabel !== currentGroupLabel) {
       currentGroupLabel = groupLabel;
       const groupEl = document.createElement('li');
       groupEl.className = 'note-group';
@@ -167,8 +204,17 @@ export function renderNotes(notes, currentId, onOpenNote, noteMarkers = {}) {
     li.dataset.role = 'note';
     const titleEl = document.createElement('div');
     titleEl.className = 'note-title';
-    titleEl.textContent = title;
+    appendHighlightedText(titleEl, title, searchTokens);
     li.appendChild(titleEl);
+    if (isSearching) {
+      const snippet = getSearchSnippet(parsed.content, searchTokens);
+      if (snippet) {
+        const snippetEl = document.createElement('div');
+        snippetEl.className = 'note-snippet';
+        appendHighlightedText(snippetEl, snippet, searchTokens);
+        li.appendChild(snippetEl);
+      }
+    }
     if (tags.length) {
       const tagsEl = document.createElement('div');
       tagsEl.className = 'note-tags';
@@ -197,12 +243,39 @@ export function renderNotes(notes, currentId, onOpenNote, noteMarkers = {}) {
   });
 }
 
+/**
+ * Logs a failed dialog action and shows its message to the user.
+ * @param {unknown} err
+ */
+export function reportError(err) {
+  console.error(err);
+  window.alert(err instanceof Error ? err.message : String(err));
+}
+
+/**
+ * A button for a row of a dialog list; failures are reported with an alert.
+ * @param {string} label
+ * @param {() => Promise<void> | void} onClick
+ * @param {boolean} [disabled]
+ * @returns {HTMLButtonElement}
+ */
+export function createActionButton(label, onClick, disabled = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.disabled = disabled;
+  button.addEventListener('click', () => {
+    Promise.resolve(onClick()).catch(reportError);
+  });
+  return button;
+}
+
 /**
  * @param {HTMLSelectElement} selectEl
  * @param {{value: string; label: string; disabled?: boolean}[]} entries
  * @param {{placeholder?: {value: string; label: string}; emptyMessage?: string; selectedValue?: string}} options
  */
-function renderSelectOptions(selectEl, entries, options = {}) {
+export function renderSelectOptions(selectEl, entries, options = {}) {
   selectEl.innerHTML = '';
   if (options.placeholder) {
     const placeholderOption = document.createElement('option');
@@ -232,18 +305,6 @@ function renderSelectOptions(selectEl, entries, options = {}) {
   }
 }
 
-/**
- * @param {string[]} tags
- * @param {string} currentTagFilter
- */
-export function renderTagFilterOptions(tags, currentTagFilter) {
-  const entries = tags.map((tag) => ({ value: tag, label: tag }));
-  renderSelectOptions(tagFilterEl, entries, {
-    placeholder: { value: '', label: 'All tags' },
-    selectedValue: currentTagFilter,
-  });
-}
-
 /**
  * @param {{oid: string; label: string}[]} entries
  * @param {{emptyMessage: string; onSelect?: (oid: string) => void}} options
@@ -259,3 +320,26 @@ export function renderNoteHistory(entries, options) {
     }
   );
 }
+
+/**
+ * @param {{id: string; title: string}[]} entries
+ * @param {(id: string) => Promise<void>} onOpen
+ */
+export function renderBacklinks(entries, onOpen) {
+  backlinksListEl.innerHTML = '';
+  backlinksEl.hidden = !entries.length;
+  entries.forEach((entry) => {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = entry.title;
+    button.addEventListener('click', () => {
+      onOpen(entry.id).catch((err) => {
+        console.error(err);
+        setStatus('open failed');
+      });
+    });
+    li.appendChild(button);
+    backlinksListEl.appendChild(li);
+  });
+}
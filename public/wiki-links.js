@@ -0,0 +1,314 @@
+'use strict';
+
+const WIKI_LINK_SOURCE = '\\[\\[([^\\[\\]\\n]+?)\\]\\]';
+const OPEN_LINK_PATTERN = /\[\[([^\[\]\n]*)$/;
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * The slice of the ProseMirror API that Toast UI passes to plugins.
+ * @typedef {{
+ *   pmState: {
+ *     Plugin: new (spec: Record<string, unknown>) => unknown;
+ *     PluginKey: new (name: string) => {getState: (state: any) => any};
+ *   };
+ *   pmView: {
+ *     Decoration: {inline: (from: number, to: number, attrs: Record<string, string>) => unknown};
+ *     DecorationSet: {create: (doc: any, decorations: unknown[]) => unknown};
+ *   };
+ * }} PluginContext
+ * @typedef {{
+ *   getTitles: () => string[];
+ *   hasTitle: (title: string) => boolean;
+ * }} WikiLinkOptions
+ * @typedef {{
+ *   view: any;
+ *   from: number;
+ *   to: number;
+ *   items: string[];
+ *   index: number;
+ *   closes: boolean;
+ * }} SuggestionState
+ */
+
+/**
+ * Titles are matched case-insensitively with collapsed whitespace.
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeLinkTitle(title) {
+  return title.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * @param {string} text
+ * @returns {{index: number; length: number; title: string}[]}
+ */
+function findWikiLinks(text) {
+  const pattern = new RegExp(WIKI_LINK_SOURCE, 'g');
+  /** @type {{index: number; length: number; title: string}[]} */
+  const links = [];
+  let match = pattern.exec(text);
+  while (match) {
+    const title = match[1].trim();
+    if (title) {
+      links.push({ index: match.index, length: match[0].length, title });
+    }
+    match = pattern.exec(text);
+  }
+  return links;
+}
+
+/**
+ * @param {string} content
+ * @returns {string[]} linked titles, normalized and de-duplicated
+ */
+export function getLinkedTitles(content) {
+  return Array.from(new Set(findWikiLinks(content).map((link) => normalizeLinkTitle(link.title))));
+}
+
+/** @type {HTMLUListElement | null} */
+let suggestionEl = null;
+/** @type {SuggestionState | null} */
+let suggestion = null;
+
+function getSuggestionElement() {
+  if (!suggestionEl) {
+    suggestionEl = document.createElement('ul');
+    suggestionEl.className = 'wiki-suggest';
+    suggestionEl.setAttribute('role', 'listbox');
+    suggestionEl.hidden = true;
+    // Keep focus in the editor while picking with the mouse.
+    suggestionEl.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      const target = /** @type {HTMLElement} */ (event.target).closest('li');
+      if (!target || !suggestion) return;
+      suggestion.index = Number(target.dataset.index);
+      acceptSuggestion();
+    });
+    document.body.appendChild(suggestionEl);
+  }
+  return suggestionEl;
+}
+
+function hideSuggestions() {
+  suggestion = null;
+  if (suggestionEl) {
+    suggestionEl.hidden = true;
+  }
+}
+
+function renderSuggestions() {
+  const el = getSuggestionElement();
+  if (!suggestion) {
+    el.hidden = true;
+    return;
+  }
+  const { view, from, items, index } = suggestion;
+  el.innerHTML = '';
+  items.forEach((title, itemIndex) => {
+    const li = document.createElement('li');
+    li.textContent = title;
+    li.dataset.index = String(itemIndex);
+    li.setAttribute('role', 'option');
+    li.classList.toggle('active', itemIndex === index);
+    el.appendChild(li);
+  });
+  const coords = view.coordsAtPos(from);
+  el.style.left = `${coords.left + window.scrollX}px`;
+  el.style.top = `${coords.bottom + window.scrollY + 4}px`;
+  el.hidden = false;
+}
+
+function acceptSuggestion() {
+  if (!suggestion) return;
+  const { view, from, to, items, index, closes } = suggestion;
+  const title = items[index];
+  hideSuggestions();
+  if (!title) return;
+  view.dispatch(view.state.tr.insertText(closes ? title : `${title}]]`, from, to));
+  view.focus();
+}
+
+/**
+ * @param {any} view
+ * @param {WikiLinkOptions} options
+ */
+function updateSuggestions(view, options) {
+  const { selection } = view.state;
+  if (!selection.empty || !view.hasFocus()) {
+    hideSuggestions();
+    return;
+  }
+  const { $from } = selection;
+  const before = $from.parent.textBetween(0, $from.parentOffset, undefined, '￼');
+  const match = before.match(OPEN_LINK_PATTERN);
+  if (!match) {
+    hideSuggestions();
+    return;
+  }
+  const query = normalizeLinkTitle(match[1]);
+  const items = options
+    .getTitles()
+    .filter((title) => normalizeLinkTitle(title).includes(query))
+    .slice(0, MAX_SUGGESTIONS);
+  if (!items.length) {
+    hideSuggestions();
+    return;
+  }
+  const after = $from.parent.textBetween($from.parentOffset, $from.parent.content.size, undefined, '￼');
+  const previous = suggestion;
+  suggestion = {
+    view,
+    from: $from.pos - match[1].length,
+    to: $from.pos,
+    items,
+    index: previous && previous.items[previous.index] === items[0] ? previous.index : 0,
+    closes: after.startsWith(']]'),
+  };
+  suggestion.index = Math.min(suggestion.index, items.length - 1);
+  renderSuggestions();
+}
+
+/**
+ * @param {KeyboardEvent} event
+ * @returns {boolean} whether the key was consumed by the suggestion list
+ */
+function handleSuggestionKey(event) {
+  if (!suggestion || event.isComposing) return false;
+  const count = suggestion.items.length;
+  switch (event.key) {
+    case 'ArrowDown':
+      suggestion.index = (suggestion.index + 1) % count;
+      renderSuggestions();
+      return true;
+    case 'ArrowUp':
+      suggestion.index = (suggestion.index - 1 + count) % count;
+      renderSuggestions();
+      return true;
+    case 'Enter':
+    case 'Tab':
+      acceptSuggestion();
+      return true;
+    case 'Escape':
+      hideSuggestions();
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * @param {PluginContext} context
+ * @param {WikiLinkOptions} options
+ */
+function createProseMirrorPlugin(context, options) {
+  const { Plugin, PluginKey } = context.pmState;
+  const { Decoration, DecorationSet } = context.pmView;
+  const key = new PluginKey('wikiLinks');
+
+  /**
+   * @param {any} doc
+   */
+  const buildDecorations = (doc) => {
+    /** @type {unknown[]} */
+    const decorations = [];
+    doc.descendants((/** @type {any} */ node, /** @type {number} */ pos) => {
+      if (!node.isText) return;
+      findWikiLinks(node.text).forEach((link) => {
+        const className = options.hasTitle(link.title) ? 'wiki-link' : 'wiki-link is-missing';
+        decorations.push(
+          Decoration.inline(pos + link.index, pos + link.index + link.length, {
+            class: className,
+            'data-wiki-title': link.title,
+          })
+        );
+      });
+    });
+    return DecorationSet.create(doc, decorations);
+  };
+
+  return new Plugin({
+    key,
+    state: {
+      init: (/** @type {unknown} */ _config, /** @type {any} */ state) => buildDecorations(state.doc),
+      apply: (/** @type {any} */ tr, /** @type {unknown} */ previous) =>
+        tr.docChanged ? buildDecorations(tr.doc) : previous,
+    },
+    props: {
+      decorations: (/** @type {any} */ state) => key.getState(state),
+      handleKeyDown: (/** @type {unknown} */ _view, /** @type {KeyboardEvent} */ event) =>
+        handleSuggestionKey(event),
+      handleDOMEvents: {
+        blur: () => {
+          hideSuggestions();
+          return false;
+        },
+      },
+    },
+    view: () => ({
+      update: (/** @type {any} */ view) => updateSuggestions(view, options),
+      destroy: hideSuggestions,
+    }),
+  });
+}
+
+/**
+ * Renders `[[Title]]` spans in the markdown preview and the read-only viewer.
+ * @param {WikiLinkOptions} options
+ */
+function createTextRenderer(options) {
+  return (/** @type {{literal: string}} */ node) => {
+    const text = node.literal;
+    const links = findWikiLinks(text);
+    if (!links.length) {
+      return { type: 'text', content: text };
+    }
+    /** @type {Record<string, unknown>[]} */
+    const tokens = [];
+    let cursor = 0;
+    links.forEach((link) => {
+      if (link.index > cursor) {
+        tokens.push({ type: 'text', content: text.slice(cursor, link.index) });
+      }
+      tokens.push({
+        type: 'openTag',
+        tagName: 'span',
+        classNames: options.hasTitle(link.title) ? ['wiki-link'] : ['wiki-link', 'is-missing'],
+        attributes: { 'data-wiki-title': link.title },
+      });
+      tokens.push({ type: 'text', content: text.slice(link.index, link.index + link.length) });
+      tokens.push({ type: 'closeTag', tagName: 'span' });
+      cursor = link.index + link.length;
+    });
+    if (cursor < text.length) {
+      tokens.push({ type: 'text', content: text.slice(cursor) });
+    }
+    return tokens;
+  };
+}
+
+/**
+ * Toast UI plugin that highlights `[[Title]]` links and suggests note titles
+ * after `[[` is typed. The markdown itself is left untouched.
+ * @param {WikiLinkOptions} options
+ * @returns {(context: PluginContext) => Record<string, unknown>}
+ */
+export function createWikiLinkPlugin(options) {
+  return (context) => {
+    return {
+      markdownPlugins: [createProseMirrorPlugin(context, options)],
+      wysiwygPlugins: [createProseMirrorPlugin(context, options)],
+      toHTMLRenderers: { text: createTextRenderer(options) },
+    };
+  };
+}
+
+/**
+ * @param {EventTarget | null} target
+ * @returns {string | null}
+ */
+export function getWikiLinkTitleFromTarget(target) {
+  if (!(target instanceof Element)) return null;
+  const linkEl = target.closest('[data-wiki-title]');
+  return linkEl ? linkEl.getAttribute('data-wiki-title') : null;
+}
@@ -2,17 +2,22 @@ declare module 'https://esm.sh/buffer@6.0.3' {
   export const Buffer: unknown;
 }
 
-declare module 'https://esm.sh/@isomorphic-git/lightning-fs' {
+declare module 'https://esm.sh/@isomorphic-git/lightning-fs@4.6.0' {
   const LightningFS: new (name: string) => { promises: any };
   export default LightningFS;
 }
 
-declare module 'https://esm.sh/isomorphic-git' {
+declare module 'https://esm.sh/isomorphic-git@1.43.0' {
   type GitFn = (options?: Record<string, unknown>) => Promise<void>;
   const git: {
     [x: string]: GitFn;
-    log: (options?: Record<string, unknown>) => Promise<{ oid: string; commit: { parent: string | null; author: { timestamp: number } } | null }[]>;
+    log: (options?: Record<string, unknown>) => Promise<{ oid: string; commit: { parent: string[]; author: { timestamp: number } } | null }[]>;
     status: (options?: Record<string, unknown> & { filepath: string }) => Promise<string>;
+    commit: (options?: Record<string, unknown>) => Promise<string>;
+    findMergeBase: (options?: Record<string, unknown>) => Promise<string[]>;
+    isDescendent: (options?: Record<string, unknown>) => Promise<boolean>;
+    readCommit: (options?: Record<string, unknown>) => Promise<{ oid: string; commit: { message: string; tree: string; parent: string[] } }>;
+    readTree: (options?: Record<string, unknown>) => Promise<{ oid: string; tree: { path: string; oid: string; type: string; mode: string }[] }>;
     readBlob: (options?: Record<string, unknown>) => Promise<{ oid: string; blob: BufferSource }>;
     statusMatrix: (options?: Record<string, unknown>) => Promise<[string, 0|1, 0|1|2, 0|1|2|3][]>;
     Errors: {
@@ -24,7 +29,7 @@ declare module 'https://esm.sh/isomorphic-git' {
   export = git;
 }
 
-declare module 'https://esm.sh/isomorphic-git/http/web' {
+declare module 'https://esm.sh/isomorphic-git@1.43.0/http/web' {
   const http: unknown;
   export default http;
 }
@@ -33,7 +38,51 @@ declare module 'https://esm.sh/@toast-ui/editor@3.2.2' {
   export class Editor {
     constructor(options: Record<string, unknown>);
     getMarkdown(): string;
-    setMarkdown(markdown: string): void;
+    setMarkdown(markdown: string, cursorToEnd?: boolean): void;
+    exec(command: string, payload?: Record<string, unknown>): void;
     destroy(): void;
   }
 }
+
+declare module 'https://esm.sh/fflate@0.8.2' {
+  export function zipSync(files: Record<string, Uint8Array>): Uint8Array<ArrayBuffer>;
+  export function unzipSync(data: Uint8Array): Record<string, Uint8Array<ArrayBuffer>>;
+  export function strToU8(text: string): Uint8Array<ArrayBuffer>;
+  export function strFromU8(data: Uint8Array): string;
+}
+
+declare module 'https://esm.sh/yaml@2.6.1' {
+  interface NodeBase {
+    comment?: string | null;
+    commentBefore?: string | null;
+  }
+  export interface Scalar extends NodeBase {
+    value: unknown;
+    type?: string;
+  }
+  export interface YAMLMap extends NodeBase {
+    items: unknown[];
+    flow?: boolean;
+  }
+  export interface YAMLSeq extends NodeBase {
+    items: unknown[];
+    flow?: boolean;
+  }
+  export class Document {
+    constructor(value?: unknown);
+    contents: unknown;
+    errors: Error[];
+    commentBefore?: string | null;
+    comment?: string | null;
+    createNode(value: unknown): Scalar | YAMLMap | YAMLSeq;
+    get(key: string, keepScalar: true): unknown;
+    set(key: string, value: unknown): void;
+    delete(key: string): boolean;
+    toJS(): unknown;
+    toString(options?: Record<string, unknown>): string;
+  }
+  export function parseDocument(source: string, options?: Record<string, unknown>): Document;
+  export function isMap(node: unknown): node is YAMLMap;
+  export function isScalar(node: unknown): node is Scalar;
+  export function isCollection(node: unknown): node is YAMLMap | YAMLSeq;
+}